@@ -1,17 +1,30 @@
 const express = require('express');
-const axios = require('axios');
-const mysql = require('mysql2');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
 const multer = require('multer');
-const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const pdf = require('pdf-parse');
 const mammoth = require('mammoth');
+const PPTX2Json = require('pptx2json');
+const PptxGenJS = require('pptxgenjs');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
 const { createClient } = require('@deepgram/sdk');
-const { OpenAI } = require('openai');
+const { OpenAI, toFile } = require('openai');
+const { OAuth2Client } = require('google-auth-library');
 const cosineSimilarity = require('compute-cosine-similarity');
-const util = require('util');
+const XLSX = require('xlsx');
+const ytdl = require('ytdl-core');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createPool, createQuery, createTransaction, waitForDatabase, schemaStatus, migrateUp } = require('./db');
 
 
 // Load environment variables
@@ -26,43 +39,516 @@ app.use(cors());
 
 
 
-// Configure AWS S3
-const s3 = new S3Client({
-  region: 'us-east-1',
-  credentials: {
-    accessKeyId: process.env.AWS_ID,
-    secretAccessKey: process.env.AWS_SECRET
+// Storage configuration. STORAGE_DRIVER picks "s3" (default), "minio" (any S3-compatible
+// server at S3_ENDPOINT) or "local" (files under LOCAL_STORAGE_DIR).
+const STORAGE_CONFIG = {
+  driver: process.env.STORAGE_DRIVER || 's3',
+  bucket: process.env.AWS_BUCKET_NAME,
+  region: process.env.AWS_REGION || 'us-east-1',
+  endpoint: process.env.S3_ENDPOINT,
+  localDir: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, 'uploads')
+};
+
+// Content types for stored files, by extension, for backends that do not record them
+const CONTENT_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.mp4': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.webm': 'audio/webm',
+  '.flac': 'audio/flac',
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// Storage backends share one interface: put, get and remove whole files, stat a file's size and
+// content type, stream a byte range of it, and presign a short-lived download URL (null when the
+// backend cannot, in which case callers stream the file themselves).
+// Function to create a storage backend on S3 or an S3-compatible server
+const createS3Storage = (config) => {
+  const s3 = new S3Client({
+    region: config.region,
+    credentials: {
+      accessKeyId: process.env.AWS_ID,
+      secretAccessKey: process.env.AWS_SECRET
+    },
+    // MinIO and most other S3-compatible servers need path-style bucket addressing
+    ...(config.endpoint ? { endpoint: config.endpoint, forcePathStyle: true } : {})
+  });
+
+  return {
+    put: (key, body, contentType) => s3.send(new PutObjectCommand({
+      Bucket: config.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+    })),
+    get: async (key) => {
+      const { Body } = await s3.send(new GetObjectCommand({ Bucket: config.bucket, Key: key }));
+
+      // Convert stream to buffer
+      const chunks = [];
+      for await (const chunk of Body) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    },
+    remove: (key) => s3.send(new DeleteObjectCommand({ Bucket: config.bucket, Key: key })),
+    stat: async (key) => {
+      const head = await s3.send(new HeadObjectCommand({ Bucket: config.bucket, Key: key }));
+      return { size: head.ContentLength, contentType: head.ContentType || CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream' };
+    },
+    stream: async (key, range) => {
+      const { Body } = await s3.send(new GetObjectCommand({
+        Bucket: config.bucket,
+        Key: key,
+        ...(range ? { Range: `bytes=${range.start}-${range.end}` } : {})
+      }));
+      return Body;
+    },
+    presign: (key, { expiresIn, filename, disposition = 'inline' }) => getSignedUrl(s3, new GetObjectCommand({
+      Bucket: config.bucket,
+      Key: key,
+      ...(filename ? { ResponseContentDisposition: `${disposition}; filename="${filename.replace(/"/g, '')}"` } : {})
+    }), { expiresIn })
+  };
+};
+
+// Function to create a storage backend on the local filesystem
+const createLocalStorage = (config) => {
+  const root = path.resolve(config.localDir);
+
+  // Keys are relative paths; anything resolving outside the storage directory is refused
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    put: async (key, body) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+    get: (key) => fs.promises.readFile(resolveKey(key)),
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+    stat: async (key) => {
+      const stats = await fs.promises.stat(resolveKey(key));
+      return { size: stats.size, contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream' };
+    },
+    stream: async (key, range) => fs.createReadStream(resolveKey(key), range ? { start: range.start, end: range.end } : {}),
+    presign: async () => null
+  };
+};
+
+// Function to create the configured storage backend
+const createStorage = (config) => {
+  if (config.driver === 's3') {
+    return createS3Storage({ ...config, endpoint: undefined });
   }
-});
+  if (config.driver === 'minio') {
+    if (!config.endpoint) {
+      throw new Error('S3_ENDPOINT is required when STORAGE_DRIVER is minio');
+    }
+    return createS3Storage(config);
+  }
+  if (config.driver === 'local') {
+    return createLocalStorage(config);
+  }
+  throw new Error(`Unknown STORAGE_DRIVER: ${config.driver}`);
+};
+
+const fileStorage = createStorage(STORAGE_CONFIG);
+
+// AI provider configuration. AI_PROVIDER picks the chat and embedding backend: "openai",
+// "openai-compatible" (Ollama, vLLM or any server exposing the OpenAI API at AI_BASE_URL) or
+// "fake" (deterministic and offline). TRANSCRIPTION_PROVIDER picks "deepgram", "openai" or "fake".
+// Stored vectors only compare with vectors from the same embedding model, so changing
+// EMBEDDING_MODEL means re-uploading (re-embedding) existing material.
+const AI_CONFIG = {
+  provider: process.env.AI_PROVIDER || 'openai',
+  baseURL: process.env.AI_BASE_URL,
+  apiKey: process.env.AI_API_KEY || process.env.OPENAI_API_KEY,
+  chatModel: process.env.CHAT_MODEL || 'gpt-4o',
+  embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-ada-002',
+  transcriptionProvider: process.env.TRANSCRIPTION_PROVIDER || (process.env.AI_PROVIDER === 'fake' ? 'fake' : 'deepgram'),
+  transcriptionModel: process.env.TRANSCRIPTION_MODEL
+};
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
+// Function to create a provider for the OpenAI API or an OpenAI-compatible server
+const createOpenAIProvider = (config) => {
+  // Local servers usually ignore the API key, but the client insists on one
+  const client = new OpenAI({ apiKey: config.apiKey || 'not-needed', baseURL: config.baseURL });
+
+  return {
+    chat: async ({ messages, maxTokens, json, signal }) => {
+      const response = await client.chat.completions.create({
+        model: config.chatModel,
+        messages,
+        max_tokens: maxTokens,
+        ...(json ? { response_format: { type: "json_object" } } : {})
+      }, { signal });
+      return {
+        content: response.choices[0].message.content.trim(),
+        usage: response.usage ? { promptTokens: response.usage.prompt_tokens, completionTokens: response.usage.completion_tokens } : null
+      };
+    },
+    // onUsage receives the token counts when the server reports them at the end of the stream;
+    // only the OpenAI API is asked to, since not every compatible server accepts stream_options
+    chatStream: async function* ({ messages, maxTokens, signal, onUsage }) {
+      const stream = await client.chat.completions.create({
+        model: config.chatModel,
+        messages,
+        max_tokens: maxTokens,
+        stream: true,
+        ...(config.provider === 'openai' ? { stream_options: { include_usage: true } } : {})
+      }, { signal });
+      for await (const part of stream) {
+        const token = part.choices[0] && part.choices[0].delta && part.choices[0].delta.content;
+        if (token) {
+          yield token;
+        }
+        if (part.usage && onUsage) {
+          onUsage({ promptTokens: part.usage.prompt_tokens, completionTokens: part.usage.completion_tokens });
+        }
+      }
+    },
+    embed: async (texts) => {
+      const response = await client.embeddings.create({ model: config.embeddingModel, input: texts });
+      return {
+        embeddings: response.data.map(item => item.embedding),
+        usage: response.usage ? { promptTokens: response.usage.prompt_tokens, completionTokens: 0 } : null
+      };
+    },
+    transcribe: async (audioBuffer, { mimetype }) => {
+      const file = await toFile(audioBuffer, 'audio', { type: mimetype });
+      const response = await client.audio.transcriptions.create({
+        file,
+        model: config.transcriptionModel || 'whisper-1',
+        response_format: 'verbose_json'
+      });
+      // Whisper times its segments but does not tell speakers apart
+      const segments = (response.segments || []).map(segment => ({
+        start: segment.start,
+        end: segment.end,
+        speaker: null,
+        text: segment.text.trim()
+      }));
+      return { transcript: response.text, segments, duration: response.duration || null };
+    }
+  };
+};
+
+// Function to create a Deepgram transcription provider
+const createDeepgramProvider = (config) => ({
+  transcribe: async (audioBuffer) => {
+    // Create a Deepgram client using the API key and send the audio payload
+    const deepgram = createClient(process.env.DEEPGRAM_API_KEY);
+    const { result, error } = await deepgram.listen.prerecorded.transcribeFile(audioBuffer, {
+      model: config.transcriptionModel || "nova-2",
+      smart_format: true,
+      utterances: true,
+      diarize: true,
+    });
+    if (error) {
+      throw error;
+    }
+    // Utterances are the timed, speaker-labelled stretches of speech
+    const segments = (result.results.utterances || []).map(utterance => ({
+      start: utterance.start,
+      end: utterance.end,
+      speaker: utterance.speaker !== undefined ? utterance.speaker : null,
+      text: utterance.transcript
+    }));
+    return {
+      transcript: result.results.channels[0].alternatives[0].transcript,
+      segments,
+      duration: result.metadata ? result.metadata.duration : null
+    };
+  }
 });
 
+// Function to create the offline fake provider. Embeddings hash words into a fixed-size
+// vector, so texts sharing words still rank as similar; replies and transcripts are derived
+// from a hash of the input, so the same input always gives the same output.
+const FAKE_EMBEDDING_DIMENSIONS = 256;
+const createFakeProvider = () => {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+  const embedText = (text) => {
+    const vector = new Array(FAKE_EMBEDDING_DIMENSIONS).fill(0);
+    for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+      vector[parseInt(digest(word).slice(0, 8), 16) % FAKE_EMBEDDING_DIMENSIONS] += 1;
+    }
+    // An all-zero vector has no direction, so empty texts get a fixed one
+    if (vector.every(value => value === 0)) {
+      vector[0] = 1;
+    }
+    const norm = Math.sqrt(vector.reduce((total, value) => total + value * value, 0));
+    return vector.map(value => value / norm);
+  };
+
+  // JSON replies in the shape each JSON prompt asks for, picked by its system prompt and sized from
+  // the counts in the user prompt, so quizzes, gradings and decks can be produced offline
+  const jsonReplies = [
+    {
+      match: /practice quizzes/,
+      build: (prompt, tag) => {
+        const [, count, types] = /Write (\d+) \w+ questions using these types: ([\w, ]+)/.exec(prompt) || [null, 1, 'short_answer'];
+        const typeList = types.split(',').map(type => type.trim());
+        const sourceCount = (prompt.match(/^\[\d+\]/gm) || []).length || 1;
+        const questions = Array.from({ length: Number(count) }, (_, i) => {
+          const type = typeList[i % typeList.length];
+          const question = { type, question: `Fake question ${i + 1} (${tag})?`, explanation: 'Fake explanation.', source: (i % sourceCount) + 1 };
+          if (type === 'mcq') {
+            return { ...question, options: ['Option A', 'Option B', 'Option C', 'Option D'], answer: 'Option A' };
+          }
+          return { ...question, answer: type === 'true_false' ? 'True' : `Fake answer ${i + 1}` };
+        });
+        return { title: `Fake quiz ${tag}`, questions };
+      }
+    },
+    {
+      match: /grading a student's answer sheet/,
+      build: (prompt) => {
+        // Rubric lines look like "1. (5 marks) question"; a question paper alone is graded as one question
+        const rubric = [...prompt.matchAll(/^(\d+)\. \(([\d.]+) marks\) (.*)$/gm)];
+        const entries = rubric.length > 0
+          ? rubric.map(([, number, maxScore, question]) => ({ number: Number(number), question, maxScore: Number(maxScore) }))
+          : [{ number: 1, question: 'Question 1', maxScore: 1 }];
+        return {
+          items: entries.map(entry => ({ ...entry, score: entry.maxScore / 2, feedback: 'Fake feedback: partly correct.' })),
+          overallFeedback: 'Fake overall feedback.'
+        };
+      }
+    },
+    {
+      match: /lesson slides/,
+      build: (prompt, tag) => {
+        const [, count] = /Write (\d+) content slides/.exec(prompt) || [null, 1];
+        return {
+          title: `Fake deck ${tag}`,
+          subtitle: 'Fake subtitle',
+          slides: Array.from({ length: Number(count) }, (_, i) => ({
+            title: `Fake slide ${i + 1}`,
+            bullets: ['First point', 'Second point', 'Third point'],
+            notes: `Fake speaker notes for slide ${i + 1}.`
+          })),
+          summary: { bullets: ['Fake summary point'], notes: 'Fake summary notes.' }
+        };
+      }
+    }
+  ];
+
+  const reply = (messages, json) => {
+    const prompt = messages[messages.length - 1].content;
+    const tag = digest(prompt).slice(0, 12);
+    if (json) {
+      const system = messages.find(message => message.role === 'system');
+      const shape = system && jsonReplies.find(entry => entry.match.test(system.content));
+      return JSON.stringify(shape ? shape.build(prompt, tag) : { fake: true, digest: tag });
+    }
+    return `Fake answer ${tag}: ${prompt.slice(0, 200)}`;
+  };
+
+  const usageFor = (messages, content) => ({
+    promptTokens: messages.reduce((total, message) => total + Math.ceil(message.content.length / 4), 0),
+    completionTokens: Math.ceil(content.length / 4)
+  });
 
+  return {
+    chat: async ({ messages, json }) => {
+      const content = reply(messages, json);
+      return { content, usage: usageFor(messages, content) };
+    },
+    chatStream: async function* ({ messages, onUsage }) {
+      const content = reply(messages, false);
+      for (const token of content.split(/(?<=\s)/)) {
+        yield token;
+      }
+      if (onUsage) {
+        onUsage(usageFor(messages, content));
+      }
+    },
+    embed: async (texts) => ({
+      embeddings: texts.map(embedText),
+      usage: { promptTokens: texts.reduce((total, text) => total + Math.ceil(text.length / 4), 0), completionTokens: 0 }
+    }),
+    // Two five-second segments from two speakers, so timestamps and speaker labels can be exercised
+    transcribe: async (audioBuffer) => {
+      const texts = [
+        `Fake transcript ${digest(audioBuffer).slice(0, 12)} of a ${audioBuffer.length} byte recording.`,
+        'This is the second speaker answering.'
+      ];
+      return {
+        transcript: texts.join(' '),
+        segments: texts.map((text, i) => ({ start: i * 5, end: (i + 1) * 5, speaker: i, text })),
+        duration: texts.length * 5
+      };
+    }
+  };
+};
 
+// Function to assemble the configured chat, embedding and transcription providers into one interface
+const createAIProvider = (config) => {
+  const providers = {
+    openai: () => createOpenAIProvider({ ...config, baseURL: undefined }),
+    'openai-compatible': () => {
+      if (!config.baseURL) {
+        throw new Error('AI_BASE_URL is required when AI_PROVIDER is openai-compatible');
+      }
+      return createOpenAIProvider(config);
+    },
+    fake: () => createFakeProvider()
+  };
+  const transcribers = {
+    deepgram: () => createDeepgramProvider(config),
+    openai: () => createOpenAIProvider(config),
+    fake: () => createFakeProvider()
+  };
+
+  if (!providers[config.provider]) {
+    throw new Error(`Unknown AI_PROVIDER: ${config.provider}`);
+  }
+  if (!transcribers[config.transcriptionProvider]) {
+    throw new Error(`Unknown TRANSCRIPTION_PROVIDER: ${config.transcriptionProvider}`);
+  }
 
-// SingleStore connection details
-const connection = mysql.createConnection({
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_DATABASE,
-  port: process.env.DB_PORT,
-});
+  const provider = providers[config.provider]();
+  const transcriber = transcribers[config.transcriptionProvider]();
+  return {
+    chat: provider.chat,
+    chatStream: provider.chatStream,
+    embed: provider.embed,
+    transcribe: transcriber.transcribe
+  };
+};
 
+// AI prices in US dollars: per million input/output tokens for chat and embedding models, and per
+// minute of audio for transcription models. AI_PRICES, JSON in the same shape, adds or overrides
+// entries; models without a price (local ones included) are metered at no cost.
+const DEFAULT_AI_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'text-embedding-ada-002': { input: 0.1 },
+  'text-embedding-3-small': { input: 0.02 },
+  'text-embedding-3-large': { input: 0.13 },
+  'whisper-1': { perMinute: 0.006 },
+  'nova-2': { perMinute: 0.0043 }
+};
 
-// Connect to SingleStore
-connection.connect((err) => {
-  if (err) {
-    console.error('Error connecting to SingleStore:', err.stack);
-    return;
+// Function to read the price overrides in AI_PRICES; a malformed value stops the server with a
+// configuration error rather than a parser stack trace
+const loadAIPrices = () => {
+  if (!process.env.AI_PRICES) {
+    return {};
   }
-  console.log('Connected to SingleStore as id ' + connection.threadId);
-});
+  try {
+    const prices = JSON.parse(process.env.AI_PRICES);
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+      throw new Error('expected an object of prices keyed by model');
+    }
+    return prices;
+  } catch (error) {
+    console.error(`Invalid AI_PRICES (${error.message}); set it to JSON such as {"gpt-4o": {"input": 2.5, "output": 10}}`);
+    process.exit(1);
+  }
+};
+const AI_PRICES = { ...DEFAULT_AI_PRICES, ...loadAIPrices() };
+
+// Who AI calls are billed to. Routes enter it through the meterAI middleware and jobs when they run;
+// calls made outside either are recorded without a user.
+const usageContext = new AsyncLocalStorage();
+
+// Function to work out the cost of one AI call
+const priceUsage = (model, { promptTokens = 0, completionTokens = 0, audioSeconds = 0 }) => {
+  const price = AI_PRICES[model] || {};
+  return (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1000000
+    + (audioSeconds / 60) * (price.perMinute || 0);
+};
+
+// Function to log one AI call against the current user and feature. Metering never fails the
+// call it measures, so errors are only logged.
+const recordUsage = (kind, model, usage) => {
+  const { googleId = null, feature = 'unattributed' } = usageContext.getStore() || {};
+  const { promptTokens = 0, completionTokens = 0, audioSeconds = 0 } = usage;
+  query(
+    'INSERT INTO ai_usage (googleId, feature, kind, model, prompt_tokens, completion_tokens, audio_seconds, cost) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [googleId, feature, kind, model, promptTokens, completionTokens, audioSeconds, priceUsage(model, usage)]
+  ).catch(error => console.error('Error recording AI usage:', error));
+};
+
+// Function to wrap the AI provider so that every chat, embedding and transcription call is metered.
+// Token counts are estimated when a provider does not report them.
+const createMeteredAI = (provider, config) => {
+  const models = config.provider === 'fake'
+    ? { chat: 'fake', embedding: 'fake' }
+    : { chat: config.chatModel, embedding: config.embeddingModel };
+  models.transcription = config.transcriptionProvider === 'fake' ? 'fake'
+    : config.transcriptionModel || (config.transcriptionProvider === 'deepgram' ? 'nova-2' : 'whisper-1');
+  const promptTokens = (messages) => messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+
+  return {
+    chat: async (options) => {
+      const response = await provider.chat(options);
+      recordUsage('chat', models.chat, response.usage || { promptTokens: promptTokens(options.messages), completionTokens: estimateTokens(response.content) });
+      return response;
+    },
+    // Streams that stop early (the client left, or the model failed) are billed for what was sent
+    chatStream: async function* (options) {
+      let usage = null;
+      let output = '';
+      try {
+        for await (const token of provider.chatStream({ ...options, onUsage: (value) => { usage = value; } })) {
+          output += token;
+          yield token;
+        }
+      } finally {
+        recordUsage('chat', models.chat, usage || { promptTokens: promptTokens(options.messages), completionTokens: estimateTokens(output) });
+      }
+    },
+    embed: async (texts) => {
+      const response = await provider.embed(texts);
+      recordUsage('embedding', models.embedding, response.usage || { promptTokens: texts.reduce((total, text) => total + estimateTokens(text), 0) });
+      return response;
+    },
+    transcribe: async (audioBuffer, options) => {
+      const result = await provider.transcribe(audioBuffer, options);
+      const lastSegment = result.segments[result.segments.length - 1];
+      recordUsage('transcription', models.transcription, { audioSeconds: result.duration || (lastSegment ? lastSegment.end : 0) });
+      return result;
+    }
+  };
+};
+
+const ai = createMeteredAI(createAIProvider(AI_CONFIG), AI_CONFIG);
+
+
 
-// Middleware to verify JWT
+
+// SingleStore (or MySQL) connection pool. `dbHealth` records the last query outcome and the schema
+// version found at startup, for the /health route.
+const pool = createPool();
+const dbHealth = { lastOkAt: null, lastError: null, lastErrorAt: null, dialect: null, schemaVersion: null, latestVersion: null };
+const query = createQuery(pool, dbHealth);
+const transaction = createTransaction(pool, dbHealth);
+
+// Middleware to verify JWT. Every account type signs in with one; requireRole decides which routes it opens.
 const authenticateJWT = (req, res, next) => {
   const token = req.headers['authorization'] && req.headers['authorization'].split(' ')[1];
 
@@ -70,20 +556,358 @@ const authenticateJWT = (req, res, next) => {
 
   jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
     if (err) return res.sendStatus(403);
-    req.user = user;
+    // Tokens issued before roles and sessions existed have to be replaced by signing in again
+    if (!user.role || !user.sid) return res.sendStatus(401);
+
+    // The token's session must still be live: logging out, disabling the account, changing its role
+    // and removing a student all revoke sessions, and that takes effect before the token expires
+    query(
+      'SELECT 1 FROM refresh_tokens WHERE family_id = ? AND googleId = ? AND revoked_at IS NULL AND expires_at > NOW() LIMIT 1',
+      [user.sid, user.googleId]
+    ).then((results) => {
+      if (results.length === 0) {
+        return res.status(401).json({ error: 'Session has ended' });
+      }
+      req.user = user;
+      next();
+    }, (error) => {
+      console.error('Error checking session:', error);
+      res.status(500).json({ error: 'Error checking session' });
+    });
+  });
+};
+
+// Middleware to only let the listed roles through
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Your role does not allow this action' });
+  }
+  next();
+};
+
+// Middleware to load the roster entries linked to a student's Google account
+const loadStudentEntries = (req, res, next) => {
+  pool.query('SELECT id FROM students WHERE google_sub = ? AND deleted_at IS NULL', [req.user.googleId], (error, results) => {
+    if (error) {
+      console.error('Error loading student:', error);
+      return res.status(500).json({ error: 'Error loading student' });
+    }
+    if (results.length === 0) {
+      return res.status(403).json({ error: 'No roster entry is linked to this account' });
+    }
+    req.studentIds = results.map(row => row.id);
     next();
   });
 };
-const query = (sql, values) => {
-  return new Promise((resolve, reject) => {
-      connection.query(sql, values, (error, results) => {
-          if (error) {
-              return reject(error);
-          }
-          resolve(results);
+
+// Route guards for each group of users. Teachers own material, rosters and classes, and admins are
+// teachers who also manage their institution's accounts. Assistants work inside the classes teachers
+// add them to, and students only reach the /me routes.
+const teacherOnly = [authenticateJWT, requireRole('teacher', 'admin')];
+const staffOnly = [authenticateJWT, requireRole('teacher', 'admin', 'assistant')];
+const adminOnly = [authenticateJWT, requireRole('admin')];
+const studentOnly = [authenticateJWT, requireRole('student'), loadStudentEntries];
+
+// Usage quota periods. Days and months start at local midnight on the server.
+const QUOTA_PERIODS = {
+  day: { label: 'Daily', start: (now) => new Date(now.getFullYear(), now.getMonth(), now.getDate()), next: (now) => new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1) },
+  month: { label: 'Monthly', start: (now) => new Date(now.getFullYear(), now.getMonth(), 1), next: (now) => new Date(now.getFullYear(), now.getMonth() + 1, 1) }
+};
+
+// Function to total a user's AI usage since a point in time
+const usageSince = async (googleId, since) => {
+  const [totals] = await query(
+    `SELECT COALESCE(SUM(cost), 0) AS cost, COALESCE(SUM(prompt_tokens + completion_tokens), 0) AS tokens,
+       COALESCE(SUM(audio_seconds), 0) / 60 AS audio_minutes
+     FROM ai_usage WHERE googleId = ? AND created_at >= ?`,
+    [googleId, formatDateToMySQL(since)]
+  );
+  return { cost: Number(totals.cost), tokens: Number(totals.tokens), audioMinutes: Number(totals.audio_minutes) };
+};
+
+// Function to check a user's usage against their quotas. Returns each quota with what has been used,
+// and the first one that has been reached, if any.
+const quotaStatus = async (googleId) => {
+  const now = new Date();
+  const quotas = await query('SELECT period, max_cost, max_tokens, max_audio_minutes FROM ai_quotas WHERE googleId = ?', [googleId]);
+  const status = [];
+  let exceeded = null;
+
+  for (const quota of quotas) {
+    const period = QUOTA_PERIODS[quota.period];
+    const used = await usageSince(googleId, period.start(now));
+    const limits = [
+      ['cost', quota.max_cost, used.cost],
+      ['tokens', quota.max_tokens, used.tokens],
+      ['audioMinutes', quota.max_audio_minutes, used.audioMinutes]
+    ].filter(([, limit]) => limit !== null).map(([metric, limit, value]) => ({ metric, limit: Number(limit), used: value }));
+    const entry = { period: quota.period, resetsAt: period.next(now), limits };
+    status.push(entry);
+
+    const reached = limits.find(limit => limit.used >= limit.limit);
+    if (reached && !exceeded) {
+      exceeded = { ...entry, ...reached, label: period.label };
+    }
+  }
+  return { quotas: status, exceeded };
+};
+
+// Function to describe a reached quota, e.g. "$1.02 of $1.00"
+const describeQuotaUse = ({ metric, used, limit }) => {
+  if (metric === 'cost') {
+    return `$${used.toFixed(2)} of $${limit.toFixed(2)} spent`;
+  }
+  return metric === 'tokens' ? `${used} of ${limit} tokens used` : `${used.toFixed(1)} of ${limit} audio minutes used`;
+};
+
+// Middleware for routes that call paid AI services: turns away users who reached a quota, and bills
+// the AI calls the route makes to the user under the route's method and path
+const meterAI = async (req, res, next) => {
+  try {
+    const { exceeded } = await quotaStatus(req.user.googleId);
+    if (exceeded) {
+      res.set('Retry-After', String(Math.ceil((exceeded.resetsAt - Date.now()) / 1000)));
+      return res.status(429).json({
+        error: `${exceeded.label} AI usage quota reached: ${describeQuotaUse(exceeded)}. It resets at ${exceeded.resetsAt.toISOString()}.`,
+        quota: { period: exceeded.period, metric: exceeded.metric, used: exceeded.used, limit: exceeded.limit, resetsAt: exceeded.resetsAt }
       });
-  });
+    }
+  } catch (error) {
+    console.error('Error checking usage quota:', error);
+    return res.status(500).json({ error: 'Error checking usage quota' });
+  }
+  usageContext.run({ googleId: req.user.googleId, feature: `${req.method} ${req.route.path}` }, next);
+};
+
+// Sign-in settings. GOOGLE_CLIENT_ID may list several OAuth client ids (web, mobile) separated by
+// commas; ID tokens issued to any other client are rejected. Access tokens are short-lived and
+// renewed with rotating refresh tokens, of which only a hash is stored.
+const googleClient = new OAuth2Client();
+const GOOGLE_CLIENT_IDS = (process.env.GOOGLE_CLIENT_ID || '').split(',').map(id => id.trim()).filter(Boolean);
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Function to verify a Google ID token's signature, expiry and audience; returns its payload
+const verifyGoogleToken = async (idToken) => {
+  if (GOOGLE_CLIENT_IDS.length === 0) {
+    throw new Error('GOOGLE_CLIENT_ID is not configured');
+  }
+  const ticket = await googleClient.verifyIdToken({ idToken, audience: GOOGLE_CLIENT_IDS });
+  return ticket.getPayload();
+};
+
+// Function to hash a refresh token for storage and lookup
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Function to build the access token claims for a session, or null if the account is gone or
+// disabled. Roles are read again on every refresh, so role changes reach existing sessions.
+const sessionClaims = async (googleId, role) => {
+  if (role === 'student') {
+    const students = await query('SELECT email FROM students WHERE google_sub = ? AND deleted_at IS NULL LIMIT 1', [googleId]);
+    return students.length > 0 ? { googleId, email: students[0].email, role: 'student' } : null;
+  }
+  const users = await query('SELECT googleId, email, role, institution_id FROM users WHERE googleId = ? AND disabled_at IS NULL', [googleId]);
+  if (users.length === 0) {
+    return null;
+  }
+  const user = users[0];
+  return { googleId, email: user.email, role: user.role, institutionId: user.institution_id };
+};
+
+// Function to issue an access token and a refresh token. A session is one family of refresh
+// tokens: each refresh replaces the token with a new one in the same family.
+const issueSession = async (req, claims, role, familyId = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const result = await query(
+    'INSERT INTO refresh_tokens (googleId, role, token_hash, family_id, user_agent, expires_at) VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))',
+    [claims.googleId, role, hashToken(refreshToken), familyId, (req.headers['user-agent'] || '').slice(0, 255), REFRESH_TOKEN_TTL_DAYS]
+  );
+  const token = jwt.sign({ ...claims, sid: familyId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  return { token, refreshToken, refreshTokenId: result.insertId };
+};
+
+// Function to revoke one session (refresh token family)
+const revokeSession = (familyId) => {
+  return query('UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL', [familyId]);
+};
+
+// Function to build the condition that picks an account's student sessions, or its staff sessions.
+// One Google account can be both a student and a member of staff, and each is signed out on its own.
+const sessionScope = (role) => (role === 'student' ? "role = 'student'" : "role <> 'student'");
+
+// Function to revoke every student session, or every staff session, of an account
+const revokeAllSessions = (googleId, role) => {
+  return query(`UPDATE refresh_tokens SET revoked_at = NOW() WHERE googleId = ? AND ${sessionScope(role)} AND revoked_at IS NULL`, [googleId]);
+};
+
+// Accounts whose verified Google email is listed in ADMIN_EMAILS become institution admins when they sign in
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+const STAFF_ROLES = ['admin', 'teacher', 'assistant'];
+const ASSISTANT_ACCESS = ['read', 'grade'];
+
+// Function to create the users row for a first sign-in. The role comes from ADMIN_EMAILS, or a class
+// the email was added to as an assistant; everyone else is a teacher. Institution invitations are
+// not applied here: the account holder accepts them once signed in.
+const provisionUser = async (userData) => {
+  const email = userData.email_verified ? userData.email.toLowerCase() : null;
+  const user = { googleId: userData.sub, email: userData.email, name: userData.name, role: 'teacher', institution_id: null };
+
+  if (email && ADMIN_EMAILS.includes(email)) {
+    user.role = 'admin';
+  } else if (email && (await query('SELECT 1 FROM class_assistants WHERE email = ? LIMIT 1', [email])).length > 0) {
+    user.role = 'assistant';
+  }
+
+  await query('INSERT INTO users SET ?', user);
+  return user;
+};
+
+// Function to list the institution invitations waiting for an account's email
+const pendingInvitations = (email) => {
+  return query(
+    `SELECT i.id, i.role, i.created_at, n.name AS institution FROM invitations i JOIN institutions n ON n.id = i.institution_id
+     WHERE i.email = ?`,
+    [(email || '').toLowerCase()]
+  );
+};
+
+// Function to make sure an ADMIN_EMAILS account is an admin with an institution to manage
+const ensureAdmin = async (user) => {
+  if (user.role !== 'admin') {
+    await query("UPDATE users SET role = 'admin' WHERE googleId = ?", [user.googleId]);
+    user.role = 'admin';
+  }
+  if (!user.institution_id) {
+    const result = await query('INSERT INTO institutions (name) VALUES (?)', [process.env.INSTITUTION_NAME || `${user.name || user.email}'s institution`]);
+    await query('UPDATE users SET institution_id = ? WHERE googleId = ?', [result.insertId, user.googleId]);
+    user.institution_id = result.insertId;
+  }
+  return user;
+};
+
+// Function to find what access an assistant has to a class: 'grade', 'read' or null
+const assistantAccess = async (user, classId) => {
+  const results = await query('SELECT access FROM class_assistants WHERE class_id = ? AND email = ?', [classId, (user.email || '').toLowerCase()]);
+  return results.length > 0 ? results[0].access : null;
+};
+
+// Access policies, one per kind of record. Each takes the signed-in user, an action ('read', 'grade'
+// or 'manage') and the record, and says whether the action is allowed. Owners can do anything with
+// their own records; assistants can read their classes and what is shared with them, and grade
+// students of classes where they have grade access.
+const policies = {
+  // Notes, audio lectures and previous papers
+  resource: async (user, action, { resourceType, row }) => {
+    if (row.googleId === user.googleId) {
+      return user.role === 'teacher' || user.role === 'admin';
+    }
+    if (user.role !== 'assistant' || action !== 'read') {
+      return false;
+    }
+    const results = await query(
+      `SELECT 1 FROM class_resources cr JOIN class_assistants ca ON ca.class_id = cr.class_id
+       WHERE ca.email = ? AND cr.resource_type = ? AND cr.resource_id = ? LIMIT 1`,
+      [(user.email || '').toLowerCase(), resourceType, row.id]
+    );
+    return results.length > 0;
+  },
+  class: async (user, action, classRow) => {
+    if (classRow.googleId === user.googleId) {
+      return user.role === 'teacher' || user.role === 'admin';
+    }
+    if (user.role !== 'assistant' || action === 'manage') {
+      return false;
+    }
+    const access = await assistantAccess(user, classRow.id);
+    return action === 'read' ? access !== null : access === 'grade';
+  },
+  student: async (user, action, student) => {
+    if (student.googleId === user.googleId) {
+      return user.role === 'teacher' || user.role === 'admin';
+    }
+    if (user.role !== 'assistant' || action === 'manage') {
+      return false;
+    }
+    const results = await query(
+      `SELECT ca.access FROM class_students cs JOIN class_assistants ca ON ca.class_id = cs.class_id
+       WHERE cs.student_id = ? AND ca.email = ?`,
+      [student.id, (user.email || '').toLowerCase()]
+    );
+    return action === 'read' ? results.length > 0 : results.some(row => row.access === 'grade');
+  },
+  // Assistants can review and adjust drafts; finalising and deleting stay with the teacher
+  grading: async (user, action, grading) => {
+    if (grading.googleId === user.googleId) {
+      return user.role === 'teacher' || user.role === 'admin';
+    }
+    return policies.student(user, action, { id: grading.student_id, googleId: grading.googleId });
+  }
+};
+
+// Middleware to load the record a route works on and check its policy. The record is left on
+// req.subject; records the user may not use answer 404 like missing ones, so ids are not leaked.
+const authorize = (policy, action, load, label) => async (req, res, next) => {
+  try {
+    const subject = await load(req);
+    if (!subject || !(await policies[policy](req.user, action, subject))) {
+      return res.status(404).json({ error: `${label} not found` });
+    }
+    req.subject = subject;
+    next();
+  } catch (error) {
+    console.error('Error checking access:', error);
+    res.status(500).json({ error: 'Error checking access' });
+  }
+};
+
+// Loaders for authorize, reading the record named by the :id route parameter. Records in the
+// trash are only reachable through the trash routes.
+const loadResource = (resourceType) => async (req) => {
+  const results = await query(`SELECT * FROM ${RESOURCE_TYPES[resourceType].table} WHERE id = ? AND deleted_at IS NULL`, [req.params.id]);
+  return results.length > 0 ? { resourceType, row: results[0] } : null;
+};
+const loadClass = (req) => getClass(req.params.id);
+const loadStudent = async (req) => (await query('SELECT * FROM students WHERE id = ? AND deleted_at IS NULL', [req.params.id]))[0];
+// Gradings of a trashed student stay hidden until the student is restored
+const loadGrading = async (req) => (await query(
+  'SELECT g.* FROM gradings g JOIN students s ON s.id = g.student_id WHERE g.id = ? AND s.deleted_at IS NULL',
+  [req.params.id]
+))[0];
+
+// Function to build a storage key for an uploaded file, keeping only safe characters of its name
+const storageKey = (prefix, originalname) => {
+  const safeName = path.basename(originalname || 'file').replace(/[^A-Za-z0-9._-]/g, '_');
+  return `${prefix}/${Date.now()}_${safeName}`;
+};
+
+// Function to delete a stored file; failures are logged since the database row is already gone
+const removeStoredFile = async (key) => {
+  if (!key) {
+    return;
+  }
+  try {
+    await fileStorage.remove(key);
+  } catch (error) {
+    console.error(`Error removing stored file ${key}:`, error);
+  }
+};
+
+// Uploaded files waiting for their background job, so the first attempt can use the buffer already
+// in memory instead of downloading it again. The buffer is dropped after that attempt, or after
+// UPLOAD_BUFFER_MINUTES if no job here picks it up; retries and other servers read from storage.
+const uploadBuffers = new Map();
+const UPLOAD_BUFFER_MINUTES = 10;
+
+// Function to store an uploaded file and keep its buffer for the job that processes it
+const storeUpload = async (key, buffer, contentType) => {
+  await fileStorage.put(key, buffer, contentType);
+  uploadBuffers.set(key, buffer);
+  setTimeout(() => uploadBuffers.delete(key), UPLOAD_BUFFER_MINUTES * 60 * 1000).unref();
 };
+
+// Function to get the contents of an uploaded file for a background job
+const loadUpload = (key) => uploadBuffers.get(key) || fileStorage.get(key);
+
 // Function to extract text from PDF file
 const extractTextFromPDF = async (pdfBuffer) => {
   try {
@@ -106,26 +930,198 @@ const extractTextFromDOC = async (docBuffer) => {
   }
 };
 
-// Function to transcribe audio using Deepgram
-const audioFun = async (audioBuffer) => {
+// Function to collect the text of every <a:p> paragraph in a parsed slide or notes XML tree
+const collectParagraphs = (node, lines = []) => {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectParagraphs(child, lines));
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'a:p') {
+        for (const paragraph of value) {
+          const runs = [];
+          const collectRuns = (child) => {
+            if (Array.isArray(child)) {
+              child.forEach(collectRuns);
+            } else if (child && typeof child === 'object') {
+              for (const [runKey, runValue] of Object.entries(child)) {
+                if (runKey === 'a:t') {
+                  runValue.forEach(text => runs.push(typeof text === 'string' ? text : text._ || ''));
+                } else if (runKey !== '$') {
+                  collectRuns(runValue);
+                }
+              }
+            }
+          };
+          collectRuns(paragraph);
+          const line = runs.join('').trim();
+          if (line) {
+            lines.push(line);
+          }
+        }
+      } else if (key !== '$') {
+        collectParagraphs(value, lines);
+      }
+    }
+  }
+  return lines;
+};
+
+// Function to find the targets of a part's relationships of one type, e.g. a slide's notes
+const relationshipTargets = (rels, type) => {
+  const relationships = (rels && rels.Relationships && rels.Relationships.Relationship) || [];
+  return relationships.filter(rel => rel.$.Type.endsWith(`/${type}`)).map(rel => ({ id: rel.$.Id, target: rel.$.Target }));
+};
+
+// Function to extract text from a PPTX deck, slide by slide in presentation order, keeping
+// slide numbers and speaker notes so answers can point back to a slide
+const extractTextFromPPTX = async (pptxBuffer) => {
   try {
-      // STEP 1: Create a Deepgram client using the API key
-      const deepgram = createClient(process.env.DEEPGRAM_API_KEY);
+    const parts = await new PPTX2Json().buffer2json(pptxBuffer);
+
+    // presentation.xml lists the slides in order by relationship id
+    const presentation = parts['ppt/presentation.xml'];
+    const slideIds = presentation['p:presentation']['p:sldIdLst'] ? presentation['p:presentation']['p:sldIdLst'][0]['p:sldId'] : [];
+    const slideTargets = new Map(relationshipTargets(parts['ppt/_rels/presentation.xml.rels'], 'slide').map(rel => [rel.id, rel.target]));
+    const slidePaths = slideIds
+      .map(slideId => slideTargets.get(slideId.$['r:id']))
+      .filter(Boolean)
+      .map(target => path.posix.join('ppt', target));
+
+    return slidePaths.map((slidePath, i) => {
+      const lines = collectParagraphs(parts[slidePath]);
+      const rels = parts[path.posix.join(path.posix.dirname(slidePath), '_rels', `${path.posix.basename(slidePath)}.rels`)];
+      const notes = relationshipTargets(rels, 'notesSlide')
+        .map(rel => collectParagraphs(parts[path.posix.join(path.posix.dirname(slidePath), rel.target)]))
+        .flat()
+        // Notes placeholders repeat the slide number
+        .filter(line => !/^\d+$/.test(line));
+      return [`Slide ${i + 1}:`, ...lines, ...(notes.length > 0 ? [`Notes: ${notes.join(' ')}`] : [])].join('\n');
+    }).join('\n\n');
+  } catch (error) {
+    console.error('Error extracting text from PPTX:', error);
+    throw error;
+  }
+};
 
-      // STEP 2: Call the transcribeFile method with the audio payload and options
-      const { result, error } = await deepgram.listen.prerecorded.transcribeFile(
-          audioBuffer, // Use the provided audio buffer
-          {
-              model: "nova-2",
-              smart_format: true,
-          }
-      );
+// Function to extract text from an XLSX workbook, one CSV block per sheet
+const extractTextFromXLSX = async (xlsxBuffer) => {
+  const workbook = XLSX.read(xlsxBuffer, { type: 'buffer' });
+  return workbook.SheetNames
+    .map(name => ({ name, csv: XLSX.utils.sheet_to_csv(workbook.Sheets[name], { blankrows: false }).trim() }))
+    .filter(sheet => sheet.csv)
+    .map(sheet => `Sheet: ${sheet.name}\n${sheet.csv}`)
+    .join('\n\n');
+};
+
+// Function to read a text file, dropping a UTF-8 byte order mark
+const extractTextFromTXT = async (textBuffer) => textBuffer.toString('utf8').replace(/^\uFEFF/, '');
+
+// Function to extract text from Markdown, keeping the words of links and images but not the syntax
+const extractTextFromMarkdown = async (markdownBuffer) => {
+  const markdown = await extractTextFromTXT(markdownBuffer);
+  return markdown
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/(\*\*|__)(.*?)\1/g, '$2')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/^```.*$/gm, '');
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Function to extract the visible text of an HTML page, with block elements on their own lines
+const extractTextFromHTML = async (htmlBuffer) => {
+  const html = await extractTextFromTXT(htmlBuffer);
+  return html
+    .replace(/<(script|style|noscript|template)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6]|section|article|header|footer|blockquote|pre|table|ul|ol)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] !== '#') {
+        return HTML_ENTITIES[code.toLowerCase()] !== undefined ? HTML_ENTITIES[code.toLowerCase()] : entity;
+      }
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+    })
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Text extractors for the document types accepted by the note, paper and answer sheet uploads,
+// keyed by the type detectDocumentType finds
+const DOCUMENT_EXTRACTORS = {
+  pdf: extractTextFromPDF,
+  docx: extractTextFromDOC,
+  pptx: extractTextFromPPTX,
+  xlsx: extractTextFromXLSX,
+  html: extractTextFromHTML,
+  markdown: extractTextFromMarkdown,
+  text: extractTextFromTXT
+};
+const SUPPORTED_DOCUMENTS = 'PDF, DOCX, PPTX, XLSX, TXT, Markdown or HTML';
+
+// Function to detect a document's type from its content; the browser-supplied mimetype is not
+// trusted. The file name only separates Markdown from plain text. Returns null when unsupported.
+const detectDocumentType = (buffer, filename = '') => {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'pdf';
+  }
+
+  // Office Open XML files are ZIP archives, told apart by the parts they contain
+  if (buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) {
+    if (buffer.includes('word/document.xml')) return 'docx';
+    if (buffer.includes('ppt/presentation.xml')) return 'pptx';
+    if (buffer.includes('xl/workbook.xml')) return 'xlsx';
+    return null;
+  }
+
+  // Anything else has to be UTF-8 text
+  if (buffer.length === 0 || buffer.subarray(0, 8192).includes(0)) {
+    return null;
+  }
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer.subarray(0, 65536));
+  } catch (error) {
+    // A multi-byte character cut off at the end of the sample is still text
+    if (buffer.length <= 65536) {
+      return null;
+    }
+    text = buffer.subarray(0, 65536).toString('utf8');
+  }
+  if (/^\uFEFF?\s*(<!doctype html|<html|<head|<body)/i.test(text)) {
+    return 'html';
+  }
+  if (/\.(md|markdown)$/i.test(filename)) {
+    return 'markdown';
+  }
+  return 'text';
+};
+
+// Function to extract the text of an uploaded document, detecting its type from its content
+const extractDocumentText = async (buffer, filename) => {
+  const type = detectDocumentType(buffer, filename);
+  if (!type) {
+    throw new Error('Unsupported file type');
+  }
+  return DOCUMENT_EXTRACTORS[type](buffer);
+};
+
+// Function to transcribe audio with the configured transcription provider; returns the
+// transcript, its timed segments (empty when the provider gives none) and the duration
+const audioFun = async (audioBuffer, mimetype) => {
+  try {
+      const { transcript, segments, duration } = await ai.transcribe(audioBuffer, { mimetype });
 
       // Log the result to understand its structure
-      console.log("Transcription result:", result.results.channels[0].alternatives[0].transcript);
+      console.log("Transcription result:", transcript);
 
-      // Extract words from the result object
-      return result.results.channels[0].alternatives[0].transcript;
+      return { transcript, segments: segments || [], duration: duration || null };
 
   } catch (error) {
       console.error("Error transcribing audio:", error);
@@ -134,850 +1130,4873 @@ const audioFun = async (audioBuffer) => {
 };
 
 
-// Function to generate embedding using OpenAI
+// Function to generate embedding with the configured provider
 const generateEmbedding = async (text) => {
   try {
-    const response = await openai.embeddings.create({
-      model: "text-embedding-ada-002",
-      input: text
-    });
-    return response.data[0].embedding;
+    const { embeddings } = await ai.embed([text]);
+    return embeddings[0];
   } catch (error) {
     console.error("Error generating embedding:", error);
     throw error;
   }
 };
 
-// Function to format date for MySQL
-const formatDateToMySQL = (datetime) => {
-  const pad = (number) => number.toString().padStart(2, '0');
-
-  const year = datetime.getFullYear();
-  const month = pad(datetime.getMonth() + 1);
-  const day = pad(datetime.getDate());
-  const hours = pad(datetime.getHours());
-  const minutes = pad(datetime.getMinutes());
-  const seconds = pad(datetime.getSeconds());
-
-  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+// Chunking and retrieval settings (sizes are in characters)
+const CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE, 10) || 1500;
+const CHUNK_OVERLAP = parseInt(process.env.CHUNK_OVERLAP, 10) || 200;
+const RETRIEVAL_TOP_K = parseInt(process.env.RETRIEVAL_TOP_K, 10) || 4;
+const EMBEDDING_BATCH_SIZE = 100;
+
+// Tables and columns behind each resource type stored in the chunks table
+const RESOURCE_TYPES = {
+  audio: { table: 'Audio', textField: 'transcription', vectorField: 'embedding', dateField: 'date', fileField: 'audio' },
+  note: { table: 'notes', textField: 'text', vectorField: 'vector', dateField: 'created_at', fileField: 'file_key' },
+  paper: { table: 'previouspapers', textField: 'text', vectorField: 'vector', dateField: 'date', fileField: 'file_key' }
 };
-const generateTitle = async (text) => {
+
+// Function to generate embeddings for several texts in batched requests
+const generateEmbeddings = async (texts) => {
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "system",
-          content: "Generate a concise and informative title for the following text:"
-        },
-        {
-          role: "user",
-          content: text
-        }
-      ]
-    });
-    return response.choices[0].message.content.trim();
+    const embeddings = [];
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+      const response = await ai.embed(texts.slice(i, i + EMBEDDING_BATCH_SIZE));
+      embeddings.push(...response.embeddings);
+    }
+    return embeddings;
   } catch (error) {
-    console.error("Error generating title:", error);
+    console.error("Error generating embeddings:", error);
     throw error;
   }
 };
 
-// Route for Google authentication
-app.post('/auth/google', async (req, res) => {
-  const { tokenId } = req.body;
-
-  try {
-    const response = await axios.get(`https://www.googleapis.com/oauth2/v3/tokeninfo?id_token=${tokenId}`);
-    const userData = response.data;
+// Function to parse a stored JSON embedding into a numeric array
+const parseEmbedding = (rawEmbedding) => {
+  const embedding = typeof rawEmbedding === 'string' ? JSON.parse(rawEmbedding) : rawEmbedding;
+  if (!Array.isArray(embedding) || embedding.some(isNaN)) {
+    throw new Error('Invalid embedding format');
+  }
+  return embedding;
+};
 
-    connection.query('SELECT * FROM users WHERE googleId = ?', [userData.sub], (err, results) => {
-      if (err) {
-        res.status(500).json({ success: false, message: 'Database query error' });
-        return;
+// Function to split text into overlapping chunks, breaking on whitespace where possible
+const chunkText = (text, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP) => {
+  const clean = text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+  const chunks = [];
+  let start = 0;
+
+  while (start < clean.length) {
+    let end = Math.min(start + size, clean.length);
+    if (end < clean.length) {
+      const boundary = Math.max(clean.lastIndexOf(' ', end), clean.lastIndexOf('\n', end));
+      if (boundary > start + size / 2) {
+        end = boundary;
       }
+    }
 
-      if (results.length === 0) {
-        const newUser = {
-          googleId: userData.sub,
-          email: userData.email,
-          name: userData.name
-        };
-        connection.query('INSERT INTO users SET ?', newUser, (err) => {
-          if (err) {
-            res.status(500).json({ success: false, message: 'Database insert error' });
-            return;
-          }
+    const chunk = clean.slice(start, end).trim();
+    if (chunk) {
+      chunks.push(chunk);
+    }
+    if (end >= clean.length) {
+      break;
+    }
 
-          // Generate JWT token
-          const token = jwt.sign({ googleId: newUser.googleId }, process.env.JWT_SECRET, { expiresIn: '1h' });
-          res.json({ success: true, user: newUser, token });
-        });
+    // Step back by the overlap, then forward to the next word so chunks start cleanly
+    let next = Math.max(end - overlap, start + 1);
+    const wordStart = clean.slice(next, end).search(/\s/);
+    if (wordStart !== -1) {
+      next += wordStart + 1;
+    }
+    start = next;
+  }
+
+  return chunks;
+};
+
+// Function to average chunk embeddings into one document-level vector
+const averageEmbeddings = (embeddings) => {
+  const sum = new Array(embeddings[0].length).fill(0);
+  for (const embedding of embeddings) {
+    embedding.forEach((value, i) => { sum[i] += value; });
+  }
+  return sum.map(value => value / embeddings.length);
+};
+
+// Function to label a transcript segment with its speaker, when the provider told speakers apart
+const segmentLine = (segment) => {
+  return segment.speaker !== null && segment.speaker !== undefined ? `Speaker ${segment.speaker + 1}: ${segment.text}` : segment.text;
+};
+
+// Function to group transcript segments into chunks of whole segments, each with the time span it
+// covers. Consecutive chunks share their last segments up to the overlap size.
+const chunkSegments = (segments, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP) => {
+  const chunks = [];
+  let current = [];
+  let length = 0;
+
+  const flush = () => {
+    chunks.push({
+      text: current.map(segmentLine).join('\n'),
+      start: current[0].start,
+      end: current[current.length - 1].end
+    });
+  };
+
+  for (const segment of segments.filter(entry => entry.text && entry.text.trim())) {
+    const line = segmentLine(segment);
+    if (current.length > 0 && length + line.length > size) {
+      flush();
+      // Carry the tail of the chunk over so an idea split across chunks is found in both
+      const carried = [];
+      let carriedLength = 0;
+      for (let i = current.length - 1; i >= 1; i--) {
+        const carriedLine = segmentLine(current[i]);
+        if (carriedLength + carriedLine.length > overlap) {
+          break;
+        }
+        carried.unshift(current[i]);
+        carriedLength += carriedLine.length + 1;
+      }
+      current = carried;
+      length = carriedLength;
+    }
+    current.push(segment);
+    length += line.length + 1;
+  }
+  if (current.length > 0) {
+    flush();
+  }
+  return chunks;
+};
+
+// Function to embed prepared chunks; returns them with their embeddings and a document vector
+const embedChunks = async (chunks) => {
+  if (chunks.length === 0) {
+    throw new Error('No text to embed');
+  }
+  const embeddings = await generateEmbeddings(chunks.map(chunk => chunk.text));
+  return {
+    chunks: chunks.map((chunk, i) => ({ ...chunk, embedding: embeddings[i] })),
+    embedding: averageEmbeddings(embeddings)
+  };
+};
+
+// Function to chunk and embed a document; returns the chunks and a document vector
+const embedDocument = (text) => embedChunks(chunkText(text).map(chunk => ({ text: chunk })));
+
+// Function to chunk and embed a timed transcript, keeping each chunk's time span
+const embedTranscript = (segments) => embedChunks(chunkSegments(segments));
+
+// Function to fetch the timed segments of an audio transcript in order
+const getSegments = async (audioId, run = query) => {
+  const rows = await run('SELECT start_time, end_time, speaker, text FROM audio_segments WHERE audio_id = ? ORDER BY position', [audioId]);
+  return rows.map(row => ({ start: Number(row.start_time), end: Number(row.end_time), speaker: row.speaker, text: row.text }));
+};
+
+// Function to replace the stored segments of an audio transcript
+const saveSegments = async (audioId, segments, run = query) => {
+  await run('DELETE FROM audio_segments WHERE audio_id = ?', [audioId]);
+  if (segments.length === 0) {
+    return;
+  }
+  const rows = segments.map((segment, i) => [audioId, i, segment.start, segment.end, segment.speaker, segment.text]);
+  await run('INSERT INTO audio_segments (audio_id, position, start_time, end_time, speaker, text) VALUES ?', [rows]);
+};
+
+// Function to describe a lecture's segmented transcript in API responses. Speakers are numbered
+// from 1; recordings transcribed before segments were kept have none and only the plain text.
+const describeTranscript = async (audio) => {
+  const segments = await getSegments(audio.id);
+  return {
+    id: audio.id,
+    title: audio.title,
+    duration: segments.length > 0 ? segments[segments.length - 1].end : null,
+    speakers: new Set(segments.filter(segment => segment.speaker !== null).map(segment => segment.speaker)).size,
+    segments: segments.map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      timestamp: formatTimestamp(segment.start),
+      speaker: segment.speaker !== null ? segment.speaker + 1 : null,
+      text: segment.text
+    })),
+    transcription: audio.transcription
+  };
+};
+
+// Function to format a time in seconds as m:ss, or h:mm:ss for long recordings
+const formatTimestamp = (seconds) => {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+};
+
+// Function to store the chunks of a document in the chunks table
+const saveChunks = async (resourceType, resourceId, googleId, chunks, run = query) => {
+  const rows = chunks.map((chunk, i) => [
+    resourceType, resourceId, googleId, i, chunk.text, JSON.stringify(chunk.embedding),
+    chunk.start !== undefined ? chunk.start : null, chunk.end !== undefined ? chunk.end : null
+  ]);
+  await run('INSERT INTO chunks (resource_type, resource_id, googleId, chunk_index, text, embedding, start_time, end_time) VALUES ?', [rows]);
+};
+
+// Function to remove the chunks of a deleted document
+const deleteChunks = (resourceType, resourceId, run = query) => {
+  return run('DELETE FROM chunks WHERE resource_type = ? AND resource_id = ?', [resourceType, resourceId]);
+};
+
+// Function to remove everything stored alongside a deleted document: its chunks, transcript segments,
+// earlier versions, class shares and file
+const deleteResourceData = async (resourceType, resourceId, fileKey) => {
+  await deleteChunks(resourceType, resourceId);
+  if (resourceType === 'audio') {
+    await query('DELETE FROM audio_segments WHERE audio_id = ?', [resourceId]);
+  }
+  await query('DELETE FROM resource_versions WHERE resource_type = ? AND resource_id = ?', [resourceType, resourceId]);
+  await query('DELETE FROM class_resources WHERE resource_type = ? AND resource_id = ?', [resourceType, resourceId]);
+  await removeStoredFile(fileKey);
+};
+
+// Function to turn a chunks row into a chunk; audio chunks carry the time span they cover
+const toChunk = (row) => ({
+  id: row.id,
+  chunkIndex: row.chunk_index,
+  text: row.text,
+  embedding: parseEmbedding(row.embedding),
+  start: row.start_time !== null ? Number(row.start_time) : null,
+  end: row.end_time !== null ? Number(row.end_time) : null
+});
+
+// Response for a document whose chunks are still being built by a backfill job
+const CHUNKS_PENDING = { error: 'This document is still being prepared; try again in a few minutes', status: 'processing' };
+
+// Function to load the stored chunks of a document. A document with text but no chunks predates the
+// chunks table: a backfill is queued for its owner and null returned, so the request is not kept
+// waiting on the embedding provider. Documents with no text have nothing to chunk.
+const loadChunks = async (resourceType, resourceId, googleId, text) => {
+  const rows = await query(
+    'SELECT id, chunk_index, text, embedding, start_time, end_time FROM chunks WHERE resource_type = ? AND resource_id = ? ORDER BY chunk_index',
+    [resourceType, resourceId]
+  );
+  if (rows.length === 0 && text && text.trim()) {
+    await queueUserChunkBackfill(googleId);
+    return null;
+  }
+  return rows.map(toChunk);
+};
+
+// Function to chunk and embed a document that predates the chunks table, for the backfill job
+const chunkDocument = async (resourceType, resourceId, googleId, text) => {
+  const segments = resourceType === 'audio' ? await getSegments(resourceId) : [];
+  const { chunks } = segments.length > 0 ? await embedTranscript(segments) : await embedDocument(text);
+  await saveChunks(resourceType, resourceId, googleId, chunks);
+};
+
+// Function to rank chunks against a question embedding and keep the top-k
+const rankChunks = (chunks, questionEmbedding, topK = RETRIEVAL_TOP_K) => {
+  // Vectors from a different embedding model cannot be compared, so they are left out
+  return chunks
+    .filter(chunk => chunk.embedding.length === questionEmbedding.length)
+    .map(chunk => ({ ...chunk, similarity: cosineSimilarity(questionEmbedding, chunk.embedding) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, topK);
+};
+
+// Function to join retrieved chunks into a prompt context, in document order. Transcript chunks
+// are headed with their time span so answers can point to the moment in the lecture.
+const formatChunkContext = (chunks) => {
+  return [...chunks]
+    .sort((a, b) => a.chunkIndex - b.chunkIndex)
+    .map(chunk => chunk.start !== null && chunk.start !== undefined
+      ? `[${formatTimestamp(chunk.start)} - ${formatTimestamp(chunk.end)}]\n${chunk.text}`
+      : chunk.text)
+    .join('\n\n---\n\n');
+};
+
+// Function to add the time span of a transcript chunk to its description
+const describeTimestamps = (chunk) => {
+  if (chunk.start === null || chunk.start === undefined) {
+    return {};
+  }
+  return { start: chunk.start, end: chunk.end, timestamp: formatTimestamp(chunk.start) };
+};
+
+// Function to describe the chunks used for an answer in API responses
+const describeChunks = (chunks) => {
+  return chunks.map(chunk => ({
+    id: chunk.id,
+    chunkIndex: chunk.chunkIndex,
+    similarity: chunk.similarity,
+    excerpt: chunk.text.slice(0, 200),
+    ...describeTimestamps(chunk)
+  }));
+};
+
+// Context budget for /aichat, estimated at roughly four characters per token
+const AICHAT_CONTEXT_TOKENS = parseInt(process.env.AICHAT_CONTEXT_TOKENS, 10) || 3000;
+const AICHAT_MAX_CANDIDATES = 20;
+
+// Function to roughly estimate the token count of a text
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Function to find documents that predate the chunks table and have text to chunk, optionally
+// only those of one user
+const findUnchunkedDocuments = async (googleId = null) => {
+  const documents = [];
+  for (const [resourceType, { table, textField }] of Object.entries(RESOURCE_TYPES)) {
+    const rows = await query(
+      `SELECT r.id, r.googleId, r.${textField} AS text FROM ${table} r
+       LEFT JOIN chunks c ON c.resource_type = ? AND c.resource_id = r.id
+       WHERE r.status = 'ready' AND r.deleted_at IS NULL AND c.id IS NULL AND TRIM(r.${textField}) <> ''
+       ${googleId ? 'AND r.googleId = ?' : ''}`,
+      googleId ? [resourceType, googleId] : [resourceType]
+    );
+    documents.push(...rows.map(row => ({ ...row, resourceType })));
+  }
+  return documents;
+};
+
+// Function to build the joins and condition that leave out rows (chunks, class shares) belonging to
+// documents in the trash; `alias` names a table with resource_type and resource_id columns
+const liveResourceFilter = (alias) => {
+  const entries = Object.entries(RESOURCE_TYPES);
+  return {
+    joins: entries.map(([resourceType, { table }], i) => `LEFT JOIN ${table} live${i} ON ${alias}.resource_type = '${resourceType}' AND live${i}.id = ${alias}.resource_id`).join(' '),
+    condition: `COALESCE(${entries.map((entry, i) => `live${i}.deleted_at`).join(', ')}) IS NULL`
+  };
+};
+
+// Function to rank every chunk a user owns across the given resource types
+const searchUserChunks = async (googleId, questionEmbedding, resourceTypes, topK) => {
+  const live = liveResourceFilter('c');
+  const rows = await query(
+    `SELECT c.id, c.resource_type, c.resource_id, c.chunk_index, c.text, c.embedding, c.start_time, c.end_time FROM chunks c ${live.joins}
+     WHERE c.googleId = ? AND c.resource_type IN (?) AND ${live.condition}`,
+    [googleId, resourceTypes]
+  );
+  const chunks = rows.map(row => ({ ...toChunk(row), resourceType: row.resource_type, resourceId: row.resource_id }));
+  const ranked = rankChunks(chunks, questionEmbedding, topK);
+
+  // Attach the title of the document each chunk came from
+  for (const resourceType of resourceTypes) {
+    const ids = [...new Set(ranked.filter(chunk => chunk.resourceType === resourceType).map(chunk => chunk.resourceId))];
+    if (ids.length === 0) {
+      continue;
+    }
+    const titles = await query(`SELECT id, title FROM ${RESOURCE_TYPES[resourceType].table} WHERE id IN (?)`, [ids]);
+    const titleById = new Map(titles.map(row => [row.id, row.title]));
+    ranked
+      .filter(chunk => chunk.resourceType === resourceType)
+      .forEach(chunk => { chunk.title = titleById.get(chunk.resourceId) || null; });
+  }
+
+  return ranked;
+};
+
+// Function to keep the best-ranked chunks that fit within a token budget
+const selectWithinBudget = (chunks, budget = AICHAT_CONTEXT_TOKENS) => {
+  const selected = [];
+  let used = 0;
+  for (const chunk of chunks) {
+    const tokens = estimateTokens(chunk.text);
+    if (used + tokens > budget) {
+      continue;
+    }
+    selected.push(chunk);
+    used += tokens;
+  }
+  return selected;
+};
+
+// Function to describe cross-document sources as citations in API responses
+const describeCitations = (chunks) => {
+  return chunks.map((chunk, i) => ({
+    ref: i + 1,
+    resourceType: chunk.resourceType,
+    resourceId: chunk.resourceId,
+    title: chunk.title,
+    chunkIndex: chunk.chunkIndex,
+    excerpt: chunk.text.slice(0, 200),
+    score: chunk.similarity,
+    ...describeTimestamps(chunk)
+  }));
+};
+
+// Conversation history settings: once the unsummarised turns pass either limit,
+// everything but the most recent turns is folded into the conversation summary
+const HISTORY_MAX_MESSAGES = parseInt(process.env.HISTORY_MAX_MESSAGES, 10) || 12;
+const HISTORY_MAX_TOKENS = parseInt(process.env.HISTORY_MAX_TOKENS, 10) || 2000;
+const HISTORY_KEEP_MESSAGES = 4;
+
+// Function to fetch a conversation owned by the user
+const getConversation = async (conversationId, googleId) => {
+  const results = await query('SELECT * FROM conversations WHERE id = ? AND googleId = ?', [conversationId, googleId]);
+  return results.length > 0 ? results[0] : null;
+};
+
+// Function to load a conversation's summary and recent turns as chat messages
+const loadConversationHistory = async (conversationId, googleId) => {
+  const conversation = await getConversation(conversationId, googleId);
+  if (!conversation) {
+    return null;
+  }
+
+  const turns = await query(
+    'SELECT role, content FROM conversation_messages WHERE conversation_id = ? AND id > ? ORDER BY id',
+    [conversation.id, conversation.summarized_until]
+  );
+  const messages = [];
+  if (conversation.summary) {
+    messages.push({ role: 'system', content: `Summary of the earlier conversation:\n${conversation.summary}` });
+  }
+  messages.push(...turns.map(turn => ({ role: turn.role, content: turn.content })));
+
+  const lastQuestion = [...turns].reverse().find(turn => turn.role === 'user');
+  return { conversation, messages, lastQuestion: lastQuestion ? lastQuestion.content : null };
+};
+
+// Function to build the retrieval query; follow-ups are embedded with the previous question
+const retrievalQuery = (question, history) => {
+  return history && history.lastQuestion ? `${history.lastQuestion}\n${question}` : question;
+};
+
+// Function to fold older turns into the conversation summary once the history gets long
+const summarizeConversation = async (conversationId) => {
+  const [conversation] = await query('SELECT * FROM conversations WHERE id = ?', [conversationId]);
+  if (!conversation) {
+    return;
+  }
+  const turns = await query(
+    'SELECT id, role, content FROM conversation_messages WHERE conversation_id = ? AND id > ? ORDER BY id',
+    [conversationId, conversation.summarized_until]
+  );
+  const tokens = turns.reduce((total, turn) => total + estimateTokens(turn.content), 0);
+  if (turns.length <= HISTORY_MAX_MESSAGES && tokens <= HISTORY_MAX_TOKENS) {
+    return;
+  }
+
+  const toFold = turns.slice(0, turns.length - HISTORY_KEEP_MESSAGES);
+  const transcript = toFold.map(turn => `${turn.role}: ${turn.content}`).join('\n');
+  const response = await ai.chat({
+    messages: [
+      { role: "system", content: "Summarise this tutoring conversation in a short paragraph. Keep the topics, key facts and any numbered points the user may refer back to." },
+      { role: "user", content: conversation.summary ? `Earlier summary:\n${conversation.summary}\n\nLater turns:\n${transcript}` : transcript }
+    ],
+    maxTokens: 300
+  });
+
+  await query(
+    'UPDATE conversations SET summary = ?, summarized_until = ? WHERE id = ?',
+    [response.content, toFold[toFold.length - 1].id, conversationId]
+  );
+};
+
+// Function to store a question/answer turn with its sources and refresh the summary if needed
+const saveTurn = async (conversation, question, answer, sources) => {
+  await query(
+    'INSERT INTO conversation_messages (conversation_id, role, content, sources) VALUES ?',
+    [[
+      [conversation.id, 'user', question, null],
+      [conversation.id, 'assistant', answer, JSON.stringify(sources)]
+    ]]
+  );
+  // Untitled conversations take their first question as the title
+  await query(
+    'UPDATE conversations SET title = COALESCE(title, ?), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [question.slice(0, 255), conversation.id]
+  );
+
+  summarizeConversation(conversation.id).catch((error) => {
+    console.error('Error summarising conversation:', error);
+  });
+};
+
+// Upper bound on the length of answers from the ask routes
+const ANSWER_MAX_TOKENS = parseInt(process.env.ANSWER_MAX_TOKENS, 10) || 1000;
+
+// Function to tell whether the client asked for the answer as Server-Sent Events
+const wantsStream = (req) => {
+  return req.query.stream === 'true' || req.body.stream === true || (req.headers.accept || '').includes('text/event-stream');
+};
+
+// Function to write one Server-Sent Event
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Function to answer a question with the chat provider, either as one JSON response or as a stream of
+// "token" events followed by a "done" event. finish(answer) builds the final payload.
+const answerQuestion = async (req, res, messages, finish) => {
+  if (!wantsStream(req)) {
+    const response = await ai.chat({ messages, maxTokens: ANSWER_MAX_TOKENS });
+    return res.status(200).json(await finish(response.content));
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Stop generating (and paying for) tokens as soon as the client goes away
+  const controller = new AbortController();
+  let disconnected = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      disconnected = true;
+      controller.abort();
+    }
+  });
+
+  let answer = '';
+  try {
+    for await (const token of ai.chatStream({ messages, maxTokens: ANSWER_MAX_TOKENS, signal: controller.signal })) {
+      answer += token;
+      sendEvent(res, 'token', { token });
+    }
+
+    sendEvent(res, 'done', await finish(answer.trim()));
+  } catch (error) {
+    if (disconnected) {
+      console.log('Client disconnected, stream aborted');
+      return;
+    }
+    console.error('Error streaming response:', error);
+    sendEvent(res, 'error', { error: 'Error generating response' });
+  }
+  res.end();
+};
+
+// Background job settings; failed jobs are retried with exponential backoff
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+const JOB_RETRY_DELAY_SECONDS = 30;
+const JOB_STALE_MINUTES = 30;
+const JOB_HEARTBEAT_SECONDS = 60;
+
+// Function to build a job error that retrying cannot fix, so the job fails at once
+const permanentJobError = (message) => Object.assign(new Error(message), { permanent: true });
+
+// Function to set the processing status (pending, ready or failed) of an uploaded resource
+const markResourceStatus = (resourceType, resourceId, status) => {
+  return query(`UPDATE ${RESOURCE_TYPES[resourceType].table} SET status = ? WHERE id = ?`, [status, resourceId]);
+};
+
+// Function to queue a background job for a resource; returns the job id
+const enqueueJob = async (googleId, type, resourceType, resourceId, payload) => {
+  const result = await query(
+    'INSERT INTO jobs (googleId, type, resource_type, resource_id, payload, max_attempts, run_at) VALUES (?, ?, ?, ?, ?, ?, NOW())',
+    [googleId, type, resourceType, resourceId, JSON.stringify(payload), JOB_MAX_ATTEMPTS]
+  );
+  return result.insertId;
+};
+
+// Function to finish a lecture once it has a transcript: keep its segments, title it and embed its chunks
+const completeTranscription = async (job, progress, transcriptionText, segments) => {
+  if (!transcriptionText) {
+    throw new Error('Empty transcription');
+  }
+  await saveSegments(job.resource_id, segments);
+
+  await progress(60, 'generating title');
+  const title = await generateTitle(transcriptionText);
+
+  // Chunks follow the timed segments when there are any, so answers can cite timestamps
+  await progress(75, 'embedding');
+  const { chunks, embedding } = segments.length > 0 ? await embedTranscript(segments) : await embedDocument(transcriptionText);
+  await deleteChunks('audio', job.resource_id);
+  await saveChunks('audio', job.resource_id, job.googleId, chunks);
+
+  await query(
+    "UPDATE Audio SET transcription = ?, title = ?, embedding = ?, status = 'ready' WHERE id = ?",
+    [transcriptionText, title, JSON.stringify(embedding), job.resource_id]
+  );
+};
+
+// Background job handlers, keyed by job type. Each one may run more than once, so it
+// replaces any chunks left behind by an earlier attempt.
+const jobHandlers = {
+  // Chunk and embed a user's documents that predate the chunks table. A retry skips the
+  // documents an earlier attempt finished.
+  'backfill-chunks': async (job, progress) => {
+    const documents = await findUnchunkedDocuments(job.googleId);
+    for (const [i, document] of documents.entries()) {
+      await progress(Math.round((i / documents.length) * 100), 'embedding');
+      await chunkDocument(document.resourceType, document.id, job.googleId, document.text);
+    }
+  },
+
+  // Transcribe an uploaded lecture, then title it and embed its chunks
+  'transcribe-audio': async (job, progress) => {
+    await progress(10, 'downloading');
+    const audioBuffer = await loadUpload(job.payload.key);
+
+    await progress(30, 'transcribing');
+    const { transcript, segments } = await audioFun(audioBuffer, job.payload.mimetype);
+    await completeTranscription(job, progress, transcript, segments);
+  },
+
+  // Fetch a lecture from a YouTube or remote URL, using the video's captions when it has them and
+  // otherwise storing and transcribing the audio track
+  'ingest-url': async (job, progress) => {
+    await progress(10, 'fetching media');
+    const info = job.payload.kind === 'youtube' ? await ytdl.getInfo(job.payload.url) : null;
+
+    const captions = info && job.payload.preferCaptions ? await fetchYouTubeCaptions(info) : null;
+    if (captions) {
+      await progress(30, 'reading captions');
+      await completeTranscription(job, progress, captions.transcript, captions.segments);
+      return;
+    }
+
+    const { buffer, mimetype } = await downloadMedia(job.payload, info);
+
+    // A fixed key per lecture, so a retried job overwrites its earlier download
+    const extension = Object.keys(CONTENT_TYPES).find(ext => CONTENT_TYPES[ext] === mimetype) || '';
+    const audioKey = `audio/url_${job.resource_id}${extension}`;
+    await fileStorage.put(audioKey, buffer, mimetype);
+    await query('UPDATE Audio SET audio = ? WHERE id = ?', [audioKey, job.resource_id]);
+
+    // The length of a remote file is only known from its transcription; an over-long one is
+    // rejected before it is titled and embedded, and not transcribed again by a retry
+    await progress(30, 'transcribing');
+    const { transcript, segments, duration } = await audioFun(buffer, mimetype);
+    const seconds = duration || (segments.length > 0 ? segments[segments.length - 1].end : 0);
+    if (seconds > INGEST_MAX_MINUTES * 60) {
+      throw permanentJobError(`The recording is longer than ${INGEST_MAX_MINUTES} minutes`);
+    }
+    await completeTranscription(job, progress, transcript, segments);
+  },
+
+  // Extract the text of an uploaded note and embed its chunks
+  'process-note': async (job, progress) => {
+    await progress(10, 'downloading');
+    const fileBuffer = await loadUpload(job.payload.key);
+
+    await progress(30, 'extracting text');
+    const fileText = await extractDocumentText(fileBuffer, job.payload.key);
+    if (!fileText || !fileText.trim()) {
+      throw new Error('No text could be extracted from the file');
+    }
+
+    await progress(60, 'embedding');
+    const { chunks, embedding } = await embedDocument(fileText);
+    await deleteChunks('note', job.resource_id);
+    await saveChunks('note', job.resource_id, job.googleId, chunks);
+
+    await query(
+      "UPDATE notes SET text = ?, vector = ?, status = 'ready' WHERE id = ?",
+      [fileText.trim(), JSON.stringify(embedding), job.resource_id]
+    );
+  },
+
+  // Extract the text of an uploaded previous paper, then title it and embed its chunks
+  'process-paper': async (job, progress) => {
+    await progress(10, 'downloading');
+    const fileBuffer = await loadUpload(job.payload.key);
+
+    await progress(30, 'extracting text');
+    const fileText = await extractDocumentText(fileBuffer, job.payload.key);
+    if (!fileText || !fileText.trim()) {
+      throw new Error('No text could be extracted from the file');
+    }
+
+    await progress(50, 'generating title');
+    const generatedTitle = await generateTitle(fileText);
+
+    await progress(70, 'embedding');
+    const { chunks, embedding } = await embedDocument(fileText);
+    await deleteChunks('paper', job.resource_id);
+    await saveChunks('paper', job.resource_id, job.googleId, chunks);
+
+    await query(
+      "UPDATE previouspapers SET title = ?, text = ?, vector = ?, status = 'ready' WHERE id = ?",
+      [generatedTitle, fileText.trim(), JSON.stringify(embedding), job.resource_id]
+    );
+  }
+};
+
+// Function to claim the next due job; the conditional update stops two workers taking the same job
+const claimNextJob = async () => {
+  const candidates = await query("SELECT id FROM jobs WHERE status = 'queued' AND run_at <= NOW() ORDER BY run_at, id LIMIT 5");
+
+  for (const candidate of candidates) {
+    const claimed = await query(
+      "UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_at = NOW() WHERE id = ? AND status = 'queued'",
+      [candidate.id]
+    );
+    if (claimed.affectedRows === 1) {
+      const [job] = await query('SELECT * FROM jobs WHERE id = ?', [candidate.id]);
+      job.payload = typeof job.payload === 'string' ? JSON.parse(job.payload) : job.payload;
+      return job;
+    }
+  }
+  return null;
+};
+
+// Function to run one claimed job, scheduling a retry or marking its resource failed on error.
+// Progress updates and a heartbeat every JOB_HEARTBEAT_SECONDS refresh locked_at, so a job that
+// runs longer than JOB_STALE_MINUTES is not taken for abandoned and run a second time.
+const runJob = async (job) => {
+  const handler = jobHandlers[job.type];
+  const progress = (value, stage) => query('UPDATE jobs SET progress = ?, stage = ?, locked_at = NOW() WHERE id = ?', [value, stage, job.id]);
+  const heartbeat = setInterval(() => {
+    query("UPDATE jobs SET locked_at = NOW() WHERE id = ? AND status = 'running'", [job.id])
+      .catch(error => console.error(`Error refreshing the lock of job ${job.id}:`, error));
+  }, JOB_HEARTBEAT_SECONDS * 1000);
+
+  try {
+    if (!handler) {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
+    // AI calls made by the job are billed to the user who queued it
+    await usageContext.run({ googleId: job.googleId, feature: `job:${job.type}` }, () => handler(job, progress));
+    await query("UPDATE jobs SET status = 'completed', progress = 100, stage = 'done', error = NULL, locked_at = NULL WHERE id = ?", [job.id]);
+  } catch (error) {
+    console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}:`, error);
+
+    if (handler && !error.permanent && job.attempts < job.max_attempts) {
+      const delay = JOB_RETRY_DELAY_SECONDS * 2 ** (job.attempts - 1);
+      await query(
+        "UPDATE jobs SET status = 'queued', error = ?, locked_at = NULL, run_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ?",
+        [error.message, delay, job.id]
+      );
+    } else {
+      await query("UPDATE jobs SET status = 'failed', error = ?, locked_at = NULL WHERE id = ?", [error.message, job.id]);
+      if (job.resource_type) {
+        await markResourceStatus(job.resource_type, job.resource_id, 'failed');
+      }
+    }
+  } finally {
+    clearInterval(heartbeat);
+    // Only the first attempt uses the upload in memory
+    uploadBuffers.delete(job.payload.key);
+  }
+};
+
+// Function to queue a chunk backfill for a user, unless one is already waiting
+const queueUserChunkBackfill = async (googleId) => {
+  const pending = await query(
+    "SELECT 1 FROM jobs WHERE googleId = ? AND type = 'backfill-chunks' AND status IN ('queued', 'running') LIMIT 1",
+    [googleId]
+  );
+  if (pending.length === 0) {
+    await enqueueJob(googleId, 'backfill-chunks', null, null, {});
+  }
+};
+
+// Function to queue a chunk backfill for every user with documents that predate the chunks table.
+// Until it runs, those documents are left out of searches and cannot be asked about.
+const queueChunkBackfill = async () => {
+  const owners = [...new Set((await findUnchunkedDocuments()).map(document => document.googleId))];
+  for (const googleId of owners) {
+    await queueUserChunkBackfill(googleId);
+  }
+  return owners.length;
+};
+
+// Function to poll the jobs table and work through due jobs one at a time
+const startJobWorker = () => {
+  let busy = false;
+
+  setInterval(async () => {
+    if (busy) {
+      return;
+    }
+    busy = true;
+
+    try {
+      // Requeue jobs left running by a worker that stopped mid-job
+      await query(
+        "UPDATE jobs SET status = 'queued', locked_at = NULL WHERE status = 'running' AND locked_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)",
+        [JOB_STALE_MINUTES]
+      );
+
+      let job = await claimNextJob();
+      while (job) {
+        await runJob(job);
+        job = await claimNextJob();
+      }
+    } catch (error) {
+      console.error('Error in job worker:', error);
+    } finally {
+      busy = false;
+    }
+  }, JOB_POLL_INTERVAL_MS);
+};
+
+// Quiz generation settings
+const QUIZ_QUESTION_TYPES = ['mcq', 'short_answer', 'true_false'];
+const QUIZ_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const QUIZ_MAX_QUESTIONS = 50;
+const QUIZ_CONTEXT_TOKENS = parseInt(process.env.QUIZ_CONTEXT_TOKENS, 10) || 6000;
+
+// Function to parse a JSON column that the driver may return as a string
+const parseJSON = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Function to validate quiz settings from a request body, falling back to the given defaults
+const parseQuizSettings = (body, defaults) => {
+  const questionCount = body.questionCount !== undefined ? parseInt(body.questionCount, 10) : defaults.questionCount;
+  const questionTypes = body.questionTypes !== undefined ? body.questionTypes : defaults.questionTypes;
+  const difficulty = body.difficulty !== undefined ? body.difficulty : defaults.difficulty;
+
+  if (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > QUIZ_MAX_QUESTIONS) {
+    return { error: `questionCount must be between 1 and ${QUIZ_MAX_QUESTIONS}` };
+  }
+  if (!Array.isArray(questionTypes) || questionTypes.length === 0 || questionTypes.some(type => !QUIZ_QUESTION_TYPES.includes(type))) {
+    return { error: `questionTypes must be a list of: ${QUIZ_QUESTION_TYPES.join(', ')}` };
+  }
+  if (!QUIZ_DIFFICULTIES.includes(difficulty)) {
+    return { error: `difficulty must be one of: ${QUIZ_DIFFICULTIES.join(', ')}` };
+  }
+  return { questionCount, questionTypes, difficulty };
+};
+
+// Function to load the chunks of the chosen notes and papers, interleaved across documents
+// and cut to the quiz context budget so every document is represented. Returns null when a
+// document is missing and { pending: true } while one is still being chunked.
+const loadQuizSources = async (googleId, noteIds, paperIds) => {
+  const documents = [];
+  for (const [resourceType, requestedIds] of [['note', noteIds], ['paper', paperIds]]) {
+    const ids = [...new Set(requestedIds.map(Number))];
+    if (ids.length === 0) {
+      continue;
+    }
+    const { table, textField } = RESOURCE_TYPES[resourceType];
+    const rows = await query(
+      `SELECT id, title, ${textField} AS text FROM ${table} WHERE id IN (?) AND googleId = ? AND status = 'ready' AND deleted_at IS NULL`,
+      [ids, googleId]
+    );
+    if (rows.length !== ids.length) {
+      return null;
+    }
+    for (const row of rows) {
+      const chunks = await loadChunks(resourceType, row.id, googleId, row.text);
+      if (!chunks) {
+        return { pending: true };
+      }
+      documents.push(chunks.map(chunk => ({ ...chunk, resourceType, resourceId: row.id, title: row.title })));
+    }
+  }
+
+  const interleaved = [];
+  const longest = Math.max(...documents.map(chunks => chunks.length));
+  for (let i = 0; i < longest; i++) {
+    documents.forEach(chunks => { if (chunks[i]) interleaved.push(chunks[i]); });
+  }
+  return selectWithinBudget(interleaved, QUIZ_CONTEXT_TOKENS)
+    .sort((a, b) => a.resourceId - b.resourceId || a.chunkIndex - b.chunkIndex);
+};
+
+// Function to drop malformed questions from the model output and normalise the rest
+const normalizeQuizQuestion = (item, sources) => {
+  if (!item || !QUIZ_QUESTION_TYPES.includes(item.type) || !item.question || item.answer === undefined) {
+    return null;
+  }
+
+  let options = null;
+  let answer = String(item.answer).trim();
+  if (item.type === 'mcq') {
+    if (!Array.isArray(item.options) || item.options.length < 2 || !item.options.map(String).includes(answer)) {
+      return null;
+    }
+    options = item.options.map(String);
+  } else if (item.type === 'true_false') {
+    if (!['true', 'false'].includes(answer.toLowerCase())) {
+      return null;
+    }
+    options = ['True', 'False'];
+    answer = answer.toLowerCase() === 'true' ? 'True' : 'False';
+  }
+
+  const source = sources[parseInt(item.source, 10) - 1];
+  return {
+    type: item.type,
+    question: String(item.question).trim(),
+    options,
+    answer,
+    explanation: item.explanation ? String(item.explanation).trim() : null,
+    sourceType: source ? source.resourceType : null,
+    sourceId: source ? source.resourceId : null,
+    sourceExcerpt: source ? source.text.slice(0, 300) : null
+  };
+};
+
+// Function to generate quiz questions from numbered source chunks
+const generateQuizQuestions = async (sources, settings) => {
+  const context = sources
+    .map((chunk, i) => `[${i + 1}] (${chunk.title})\n${chunk.text}`)
+    .join('\n\n');
+
+  const response = await ai.chat({
+    json: true,
+    messages: [
+      {
+        role: "system",
+        content: "You write practice quizzes for teachers. Use only the numbered sources. Reply with JSON: " +
+          '{"title": string, "questions": [{"type": "mcq" | "short_answer" | "true_false", "question": string, ' +
+          '"options": string[] (mcq only), "answer": string (for mcq, the exact text of the correct option; for true_false, "True" or "False"), ' +
+          '"explanation": string, "source": number of the source the question is based on}]}'
+      },
+      {
+        role: "user",
+        content: `Write ${settings.questionCount} ${settings.difficulty} questions using these types: ${settings.questionTypes.join(', ')}.\n\nSources:\n\n${context}`
+      }
+    ]
+  });
+
+  const output = JSON.parse(response.content);
+  const questions = (Array.isArray(output.questions) ? output.questions : [])
+    .map(item => normalizeQuizQuestion(item, sources))
+    .filter(Boolean)
+    .slice(0, settings.questionCount);
+
+  if (questions.length === 0) {
+    throw new Error('The model returned no usable questions');
+  }
+  return { title: output.title ? String(output.title).slice(0, 255) : null, questions };
+};
+
+// Function to replace the questions of a quiz
+const saveQuizQuestions = async (quizId, questions) => {
+  await query('DELETE FROM quiz_questions WHERE quiz_id = ?', [quizId]);
+  const rows = questions.map((question, i) => [
+    quizId, i + 1, question.type, question.question, JSON.stringify(question.options), question.answer,
+    question.explanation, question.sourceType, question.sourceId, question.sourceExcerpt
+  ]);
+  await query(
+    'INSERT INTO quiz_questions (quiz_id, position, type, question, options, answer, explanation, source_type, source_id, source_excerpt) VALUES ?',
+    [rows]
+  );
+};
+
+// Function to fetch a teacher's quiz together with its questions
+const getQuiz = async (quizId, googleId) => {
+  const results = await query('SELECT * FROM quizzes WHERE id = ? AND googleId = ?', [quizId, googleId]);
+  if (results.length === 0) {
+    return null;
+  }
+
+  const quiz = results[0];
+  const questions = await query('SELECT * FROM quiz_questions WHERE quiz_id = ? ORDER BY position', [quiz.id]);
+  return {
+    ...quiz,
+    note_ids: parseJSON(quiz.note_ids),
+    paper_ids: parseJSON(quiz.paper_ids),
+    question_types: parseJSON(quiz.question_types),
+    questions: questions.map(question => ({ ...question, options: parseJSON(question.options) }))
+  };
+};
+
+// Function to validate a rubric: a list of { question, maxScore, guidance } entries
+const parseRubric = (rubric) => {
+  if (!Array.isArray(rubric) || rubric.length === 0) {
+    return null;
+  }
+  const items = rubric.map(item => ({
+    question: item && item.question ? String(item.question).trim() : '',
+    maxScore: item ? Number(item.maxScore) : NaN,
+    guidance: item && item.guidance ? String(item.guidance).trim() : null
+  }));
+  return items.every(item => item.question && item.maxScore > 0) ? items : null;
+};
+
+// Function to read the marks each quiz question is worth; 1 when not given, null unless a positive number
+const parseMarksPerQuestion = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return 1;
+  }
+  const marks = Number(value);
+  return Number.isFinite(marks) && marks > 0 ? marks : null;
+};
+
+// Function to build the rubric for grading against a saved quiz, using its answer key as guidance
+const rubricFromQuiz = (quiz, marksPerQuestion) => {
+  return quiz.questions.map(question => ({
+    question: question.options ? `${question.question}\nOptions: ${question.options.join(' | ')}` : question.question,
+    maxScore: marksPerQuestion,
+    guidance: `Expected answer: ${question.answer}${question.explanation ? `. ${question.explanation}` : ''}`
+  }));
+};
+
+// Function to grade a student's answer sheet with the chat provider. With a rubric the model scores each
+// rubric question; with only a question paper it first identifies the questions and their marks.
+const gradeAnswerSheet = async (answerText, rubric, paperText) => {
+  const task = rubric
+    ? 'Rubric:\n' + rubric.map((item, i) => `${i + 1}. (${item.maxScore} marks) ${item.question}${item.guidance ? `\n   Guidance: ${item.guidance}` : ''}`).join('\n')
+    : `Question paper:\n${paperText}\n\nIdentify each question and its marks from the paper (assume 1 mark when none is given).`;
+
+  const response = await ai.chat({
+    json: true,
+    messages: [
+      {
+        role: "system",
+        content: "You are a fair examiner grading a student's answer sheet. Score each question, giving partial credit where deserved, " +
+          "and write one or two sentences of feedback addressed to the student. Reply with JSON: " +
+          '{"items": [{"number": number, "question": string, "maxScore": number, "score": number, "feedback": string}], "overallFeedback": string}'
+      },
+      { role: "user", content: `${task}\n\nStudent answer sheet:\n${answerText}` }
+    ]
+  });
+
+  const output = JSON.parse(response.content);
+  const returned = Array.isArray(output.items) ? output.items : [];
+
+  // Scores are clamped to each question's maximum; rubric questions the model skipped score zero
+  const items = (rubric || returned).map((entry, i) => {
+    const graded = rubric ? returned.find(item => Number(item.number) === i + 1) || {} : entry;
+    const maxScore = rubric ? entry.maxScore : Math.max(Number(entry.maxScore) || 1, 0);
+    const score = Math.min(Math.max(Number(graded.score) || 0, 0), maxScore);
+    return {
+      question: rubric ? entry.question : String(entry.question || `Question ${i + 1}`),
+      maxScore,
+      score,
+      feedback: graded.feedback ? String(graded.feedback) : 'No answer found for this question.'
+    };
+  });
+
+  if (items.length === 0) {
+    throw new Error('The model returned no graded questions');
+  }
+  return { items, overallFeedback: output.overallFeedback ? String(output.overallFeedback) : null };
+};
+
+// Function to fetch a grading with its per-question items and effective scores; callers check access first
+const getGrading = async (gradingId) => {
+  const results = await query('SELECT * FROM gradings WHERE id = ?', [gradingId]);
+  if (results.length === 0) {
+    return null;
+  }
+
+  const grading = results[0];
+  const items = await query('SELECT * FROM grading_items WHERE grading_id = ? ORDER BY position', [grading.id]);
+  return {
+    ...grading,
+    rubric: parseJSON(grading.rubric),
+    items: items.map(item => ({
+      ...item,
+      score: item.teacher_score !== null ? item.teacher_score : item.ai_score,
+      feedback: item.teacher_feedback !== null ? item.teacher_feedback : item.ai_feedback
+    }))
+  };
+};
+
+// Roster import settings
+const ROSTER_MAX_ROWS = 5000;
+const ROSTER_DUPLICATE_MODES = ['skip', 'update', 'fail'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Spreadsheet headers accepted for each roster field, compared lower-cased without spaces or punctuation
+const ROSTER_HEADERS = {
+  name: ['name', 'studentname', 'fullname'],
+  studentNumber: ['studentnumber', 'number', 'rollnumber', 'rollno', 'studentid'],
+  email: ['email', 'emailaddress', 'studentemail']
+};
+
+// Function to read roster rows from an uploaded CSV or XLSX file
+const parseRosterFile = (buffer) => {
+  // raw keeps CSV cells as text so student numbers like "007" keep their leading zeros
+  const workbook = XLSX.read(buffer, { type: 'buffer', raw: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const records = sheet ? XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false }) : [];
+
+  return records.map((record) => {
+    const row = {};
+    for (const [header, value] of Object.entries(record)) {
+      const key = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+      const field = Object.keys(ROSTER_HEADERS).find(name => ROSTER_HEADERS[name].includes(key));
+      if (field) {
+        row[field] = String(value).trim();
+      }
+    }
+    return row;
+  });
+};
+
+// Function to validate roster rows and decide what importing each one would do
+const planRosterImport = async (rows, googleId, onDuplicate) => {
+  const existing = await query('SELECT id, student_number, deleted_at FROM students WHERE googleId = ?', [googleId]);
+  const existingByNumber = new Map(existing.map(student => [student.student_number, student.id]));
+  const trashedNumbers = new Set(existing.filter(student => student.deleted_at).map(student => student.student_number));
+  const seen = new Set();
+
+  return rows.map((row, i) => {
+    // Spreadsheet row numbers start at 2, below the header row
+    const entry = { row: i + 2, name: row.name || '', studentNumber: row.studentNumber || '', email: row.email || '', errors: [] };
+
+    if (!entry.name) entry.errors.push('name is required');
+    if (!entry.studentNumber) entry.errors.push('student number is required');
+    else if (entry.studentNumber.length > 50) entry.errors.push('student number is longer than 50 characters');
+    if (!EMAIL_PATTERN.test(entry.email)) entry.errors.push('email is missing or invalid');
+
+    if (entry.studentNumber && seen.has(entry.studentNumber)) {
+      entry.errors.push('student number appears more than once in the file');
+    }
+    seen.add(entry.studentNumber);
+
+    if (trashedNumbers.has(entry.studentNumber)) {
+      entry.errors.push('student number belongs to a student in the trash; restore or purge them first');
+    }
+
+    if (entry.errors.length > 0) {
+      entry.action = 'error';
+    } else if (existingByNumber.has(entry.studentNumber)) {
+      entry.studentId = existingByNumber.get(entry.studentNumber);
+      if (onDuplicate === 'fail') {
+        entry.errors.push('student number already exists');
+        entry.action = 'error';
       } else {
-        // User found, send user data
-        const token = jwt.sign({ googleId: results[0].googleId }, process.env.JWT_SECRET, { expiresIn: '1h' });
-        res.json({ success: true, user: results[0], token });
+        entry.action = onDuplicate;
+      }
+    } else {
+      entry.action = 'create';
+    }
+    return entry;
+  });
+};
+
+// Function to fetch a class; callers check access first
+const getClass = async (classId) => {
+  const results = await query('SELECT * FROM classes WHERE id = ?', [classId]);
+  return results.length > 0 ? results[0] : null;
+};
+
+// Function to list the notes, audio lectures and previous papers shared with a class
+const listClassResources = async (classId) => {
+  const resources = [];
+  for (const [resourceType, { table, dateField }] of Object.entries(RESOURCE_TYPES)) {
+    const rows = await query(
+      `SELECT r.id, r.title, r.${dateField} AS date, r.status, cr.created_at AS shared_at
+       FROM class_resources cr JOIN ${table} r ON r.id = cr.resource_id
+       WHERE cr.class_id = ? AND cr.resource_type = ? AND r.deleted_at IS NULL`,
+      [classId, resourceType]
+    );
+    resources.push(...rows.map(row => ({ resourceType, ...row })));
+  }
+  return resources.sort((a, b) => new Date(b.shared_at) - new Date(a.shared_at));
+};
+
+// Function to check that a resource is shared with a class one of the student's roster entries is enrolled in
+const isSharedWithStudent = async (studentIds, resourceType, resourceId) => {
+  const results = await query(
+    `SELECT 1 FROM class_resources cr JOIN class_students cs ON cs.class_id = cr.class_id
+     WHERE cs.student_id IN (?) AND cr.resource_type = ? AND cr.resource_id = ? LIMIT 1`,
+    [studentIds, resourceType, resourceId]
+  );
+  return results.length > 0;
+};
+
+// Function to rank the chunks of every ready resource shared with the student's classes
+const searchSharedChunks = async (studentIds, questionEmbedding, topK) => {
+  const shared = await query(
+    `SELECT DISTINCT cr.resource_type, cr.resource_id FROM class_resources cr
+     JOIN class_students cs ON cs.class_id = cr.class_id WHERE cs.student_id IN (?)`,
+    [studentIds]
+  );
+
+  const chunks = [];
+  for (const [resourceType, { table, textField }] of Object.entries(RESOURCE_TYPES)) {
+    const ids = shared.filter(row => row.resource_type === resourceType).map(row => row.resource_id);
+    if (ids.length === 0) {
+      continue;
+    }
+    const rows = await query(
+      `SELECT id, title, googleId, ${textField} AS text FROM ${table} WHERE id IN (?) AND status = 'ready' AND deleted_at IS NULL`,
+      [ids]
+    );
+    for (const row of rows) {
+      // Chunks are stored under the owning teacher's googleId; a document still being chunked is left out
+      const resourceChunks = await loadChunks(resourceType, row.id, row.googleId, row.text) || [];
+      chunks.push(...resourceChunks.map(chunk => ({ ...chunk, resourceType, resourceId: row.id, title: row.title })));
+    }
+  }
+  return rankChunks(chunks, questionEmbedding, topK);
+};
+
+// Presigned playback URLs stay valid for this many seconds
+const AUDIO_URL_TTL_SECONDS = parseInt(process.env.AUDIO_URL_TTL_SECONDS, 10) || 300;
+
+// Function to play back or download a stored file. Clients get a presigned URL when the storage backend
+// can make one and they did not ask for ?mode=proxy; otherwise the file is streamed, honouring an HTTP Range.
+const sendStoredFile = async (req, res, key, { filename = path.basename(key), disposition = 'inline' } = {}) => {
+  filename = filename.replace(/[^A-Za-z0-9._ -]/g, '_');
+
+  if (req.query.mode !== 'proxy') {
+    const url = await fileStorage.presign(key, { expiresIn: AUDIO_URL_TTL_SECONDS, filename, disposition });
+    if (url) {
+      return res.status(200).json({ url, expiresIn: AUDIO_URL_TTL_SECONDS });
+    }
+  }
+
+  const { size, contentType } = await fileStorage.stat(key);
+  const ranges = req.headers.range ? req.range(size) : null;
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+  // Malformed and multi-part range requests get the whole file
+  const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+
+  res.set({ 'Accept-Ranges': 'bytes', 'Content-Type': contentType, 'Content-Disposition': `${disposition}; filename="${filename}"` });
+  if (range) {
+    res.status(206).set({ 'Content-Range': `bytes ${range.start}-${range.end}/${size}`, 'Content-Length': range.end - range.start + 1 });
+  } else {
+    res.status(200).set('Content-Length', size);
+  }
+
+  const body = await fileStorage.stream(key, range);
+  body.on('error', (error) => {
+    console.error('Error streaming file:', error);
+    res.destroy(error);
+  });
+  body.pipe(res);
+};
+
+// Transcript download formats and their content types
+const TRANSCRIPT_DOWNLOADS = {
+  txt: 'text/plain',
+  srt: 'application/x-subrip',
+  vtt: 'text/vtt'
+};
+
+// Function to format a time in seconds as a subtitle cue time: 00:01:02,500 for SRT, 00:01:02.500 for WebVTT
+const formatCueTime = (seconds, separator) => {
+  const ms = Math.round(seconds * 1000);
+  const pad = (number, width = 2) => String(number).padStart(width, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+};
+
+// Function to render a transcript (as built by describeTranscript) as a TXT, SRT or WebVTT file
+const renderTranscript = (transcript, format) => {
+  const speakerPrefix = (segment) => segment.speaker !== null ? `Speaker ${segment.speaker}: ` : '';
+
+  if (format === 'txt') {
+    if (transcript.segments.length === 0) {
+      return transcript.transcription;
+    }
+    return transcript.segments.map(segment => `[${segment.timestamp}] ${speakerPrefix(segment)}${segment.text}`).join('\n');
+  }
+  if (format === 'srt') {
+    return transcript.segments
+      .map((segment, i) => `${i + 1}\n${formatCueTime(segment.start, ',')} --> ${formatCueTime(segment.end, ',')}\n${speakerPrefix(segment)}${segment.text}\n`)
+      .join('\n');
+  }
+  return 'WEBVTT\n\n' + transcript.segments
+    .map(segment => `${formatCueTime(segment.start, '.')} --> ${formatCueTime(segment.end, '.')}\n${segment.speaker !== null ? `<v Speaker ${segment.speaker}>` : ''}${segment.text}\n`)
+    .join('\n');
+};
+
+// Function to answer a transcript request: JSON by default, or a download with ?format=txt|srt|vtt
+const sendTranscript = async (req, res, audio) => {
+  const format = req.query.format || 'json';
+  if (format !== 'json' && !TRANSCRIPT_DOWNLOADS[format]) {
+    return res.status(400).json({ error: `format must be one of: json, ${Object.keys(TRANSCRIPT_DOWNLOADS).join(', ')}` });
+  }
+
+  const transcript = await describeTranscript(audio);
+  if (format === 'json') {
+    return res.status(200).json(transcript);
+  }
+  if (format !== 'txt' && transcript.segments.length === 0) {
+    return res.status(409).json({ error: 'This transcript has no timestamps; download it as txt' });
+  }
+
+  const filename = (audio.title || 'transcript').replace(/[^A-Za-z0-9._ -]/g, '_');
+  res.attachment(`${filename}.${format}`);
+  res.type(`${TRANSCRIPT_DOWNLOADS[format]}; charset=utf-8`);
+  res.status(200).send(renderTranscript(transcript, format));
+};
+
+// Limits for lectures ingested from a URL. YouTube videos are checked against the length limit before
+// anything is downloaded; remote files are checked against the size limit while downloading and
+// against the length limit once transcribed.
+const INGEST_MAX_MINUTES = parseInt(process.env.INGEST_MAX_MINUTES, 10) || 180;
+const INGEST_MAX_MB = parseInt(process.env.INGEST_MAX_MB, 10) || 200;
+const INGEST_MAX_REDIRECTS = 5;
+
+// Address ranges that are not on the public internet (the IANA special-purpose registries). The
+// block list checks IPv4-mapped IPv6 addresses (::ffff:7f00:1) against the IPv4 ranges; the NAT64
+// and 6to4 ranges are refused whole, since they can carry any IPv4 address.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64],
+  ['2001::', 23], ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Function to tell whether an IP address is on the public internet, so URLs cannot reach internal services
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Function to resolve a host name for an outgoing connection, refusing private addresses. The
+// connection is made to the address checked here, so a host cannot answer with a public address
+// for the check and a private one for the request.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.some(entry => !isPublicAddress(entry.address))) {
+      return callback(new Error('The URL points to a private network address'));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Function to send one request to a public host; resolves with the response as soon as its headers arrive
+const requestPublic = (url, method) => new Promise((resolve, reject) => {
+  // Addresses written into the URL are not looked up, so they are checked here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    return reject(new Error('The URL points to a private network address'));
+  }
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.request(url, { method, lookup: publicLookup }, resolve);
+  request.on('error', reject);
+  request.end();
+});
+
+// Function to fetch a URL on a public host, checking every redirect target as well. Returns
+// { status, ok, headers: { get }, body }, where body is the response stream.
+const fetchPublic = async (url, options = {}) => {
+  const method = options.method || 'GET';
+  let current = url;
+  for (let i = 0; i <= INGEST_MAX_REDIRECTS; i++) {
+    const parsed = new URL(current);
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('Only http and https URLs are supported');
+    }
+
+    const response = await requestPublic(parsed, method);
+    const location = response.headers.location;
+    if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+      response.resume();
+      current = new URL(location, current).toString();
+      continue;
+    }
+    if (method === 'HEAD') {
+      response.resume();
+    }
+    return {
+      status: response.statusCode,
+      ok: response.statusCode >= 200 && response.statusCode < 300,
+      headers: { get: (name) => (response.headers[name.toLowerCase()] !== undefined ? String(response.headers[name.toLowerCase()]) : null) },
+      body: response
+    };
+  }
+  throw new Error('The URL redirects too many times');
+};
+
+// Function to read a stream into a buffer, giving up once it passes the ingestion size limit
+const readLimited = async (stream, maxBytes = INGEST_MAX_MB * 1024 * 1024) => {
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of stream) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      if (typeof stream.destroy === 'function') {
+        stream.destroy();
+      }
+      throw new Error(`The media is larger than ${INGEST_MAX_MB} MB`);
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+// Function to check a lecture URL before queueing it. Returns { kind, title } for a YouTube video or
+// a remote audio/video file, or { error } with a message for the teacher.
+const inspectMediaUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { error: 'url is not a valid URL' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { error: 'Only http and https URLs are supported' };
+  }
+
+  if (ytdl.validateURL(url)) {
+    let info;
+    try {
+      info = await ytdl.getBasicInfo(url);
+    } catch (error) {
+      // Private, removed, region-locked and age-restricted videos all fail here
+      return { error: `This video cannot be ingested: ${error.message}` };
+    }
+    const details = info.videoDetails;
+    const seconds = Number(details.lengthSeconds);
+    if (details.isPrivate) {
+      return { error: 'This video is private' };
+    }
+    if (details.isLiveContent && !seconds) {
+      return { error: 'Live streams cannot be ingested' };
+    }
+    if (seconds > INGEST_MAX_MINUTES * 60) {
+      return { error: `The video is longer than ${INGEST_MAX_MINUTES} minutes` };
+    }
+    return { kind: 'youtube', title: details.title };
+  }
+
+  let response;
+  try {
+    response = await fetchPublic(url, { method: 'HEAD' });
+  } catch (error) {
+    return { error: `The URL could not be fetched: ${error.message}` };
+  }
+  if (response.status === 401 || response.status === 403) {
+    return { error: 'The file is private or needs a login' };
+  }
+  // Some servers do not answer HEAD; the job checks the download itself
+  if (response.status !== 405) {
+    if (!response.ok) {
+      return { error: `The URL answered with HTTP ${response.status}` };
+    }
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+    if (!/^(audio|video)\//.test(contentType)) {
+      return { error: 'The URL does not point to an audio or video file' };
+    }
+    if (Number(response.headers.get('content-length')) > INGEST_MAX_MB * 1024 * 1024) {
+      return { error: `The file is larger than ${INGEST_MAX_MB} MB` };
+    }
+  }
+  return { kind: 'remote', title: path.basename(parsed.pathname) || parsed.hostname };
+};
+
+// Function to fetch the captions of a YouTube video as timed segments, or null when it has none.
+// Captions written by a person are preferred over automatic ones.
+const fetchYouTubeCaptions = async (info) => {
+  const renderer = info.player_response && info.player_response.captions && info.player_response.captions.playerCaptionsTracklistRenderer;
+  const tracks = (renderer && renderer.captionTracks) || [];
+  if (tracks.length === 0) {
+    return null;
+  }
+
+  const track = tracks.find(entry => entry.kind !== 'asr') || tracks[0];
+  const response = await fetch(`${track.baseUrl}&fmt=json3`);
+  if (!response.ok) {
+    return null;
+  }
+  const data = await response.json();
+  const segments = (data.events || [])
+    .filter(event => event.segs)
+    .map(event => ({
+      start: event.tStartMs / 1000,
+      end: (event.tStartMs + (event.dDurationMs || 0)) / 1000,
+      speaker: null,
+      text: event.segs.map(seg => seg.utf8 || '').join('').replace(/\s+/g, ' ').trim()
+    }))
+    .filter(segment => segment.text);
+  return segments.length > 0 ? { transcript: segments.map(segment => segment.text).join(' '), segments } : null;
+};
+
+// Function to download the media behind an ingested URL; returns its buffer and content type
+const downloadMedia = async (payload, info) => {
+  if (payload.kind === 'youtube') {
+    const format = ytdl.chooseFormat(info.formats, { filter: 'audioonly', quality: 'highestaudio' });
+    const buffer = await readLimited(ytdl.downloadFromInfo(info, { format }));
+    return { buffer, mimetype: format.mimeType.split(';')[0] };
+  }
+
+  const response = await fetchPublic(payload.url);
+  if (!response.ok) {
+    response.body.destroy();
+    throw new Error(`The URL answered with HTTP ${response.status}`);
+  }
+  const buffer = await readLimited(response.body);
+  return { buffer, mimetype: (response.headers.get('content-type') || 'application/octet-stream').split(';')[0].trim() };
+};
+
+// Lesson deck settings
+const DECK_AUDIENCE_LEVELS = ['beginner', 'intermediate', 'advanced'];
+const DECK_MIN_SLIDES = 3;
+const DECK_MAX_SLIDES = 30;
+const DECK_CONTEXT_TOKENS = parseInt(process.env.DECK_CONTEXT_TOKENS, 10) || 6000;
+
+// Function to validate deck options; slideCount includes the title and summary slides. An empty
+// title leaves the deck with the title of its outline.
+const parseDeckOptions = (body) => {
+  const slideCount = body.slideCount !== undefined ? Number(body.slideCount) : 10;
+  const audienceLevel = body.audienceLevel || 'intermediate';
+
+  if (body.title !== undefined && body.title !== null && typeof body.title !== 'string') {
+    return { error: 'title must be a string' };
+  }
+  const title = body.title ? String(body.title).trim().slice(0, 255) : '';
+
+  if (!Number.isInteger(slideCount) || slideCount < DECK_MIN_SLIDES || slideCount > DECK_MAX_SLIDES) {
+    return { error: `slideCount must be a whole number from ${DECK_MIN_SLIDES} to ${DECK_MAX_SLIDES}` };
+  }
+  if (!DECK_AUDIENCE_LEVELS.includes(audienceLevel)) {
+    return { error: `audienceLevel must be one of: ${DECK_AUDIENCE_LEVELS.join(', ')}` };
+  }
+  return { slideCount, audienceLevel, title };
+};
+
+// Function to turn a model reply item into a list of short strings
+const toStringList = (value, limit) => (Array.isArray(value) ? value : [])
+  .map(item => String(item).trim())
+  .filter(Boolean)
+  .slice(0, limit);
+
+// Function to ask the model for a slide outline of a note or lecture: a title slide, content
+// slides with bullets and speaker notes, and a summary slide
+const generateDeckOutline = async (source, options) => {
+  // The beginning of the material comes first, in document order, within the context budget
+  const context = selectWithinBudget([...source.chunks].sort((a, b) => a.chunkIndex - b.chunkIndex), DECK_CONTEXT_TOKENS)
+    .map(chunk => chunk.text)
+    .join('\n\n');
+  const contentSlides = options.slideCount - 2;
+
+  const response = await ai.chat({
+    json: true,
+    maxTokens: 4000,
+    messages: [
+      {
+        role: "system",
+        content: "You turn teaching material into lesson slides. Use only the material given. Reply with JSON: " +
+          '{"title": string, "subtitle": string, "slides": [{"title": string, "bullets": string[] (3 to 6 short points), ' +
+          '"notes": string (what the teacher says while showing the slide)}], "summary": {"bullets": string[], "notes": string}}'
+      },
+      {
+        role: "user",
+        content: `Write ${contentSlides} content slides for a ${options.audienceLevel} audience about "${source.title}".\n\nMaterial:\n\n${context}`
+      }
+    ]
+  });
+
+  const output = JSON.parse(response.content);
+  const slides = (Array.isArray(output.slides) ? output.slides : [])
+    .filter(slide => slide && slide.title)
+    .slice(0, contentSlides)
+    .map(slide => ({ title: String(slide.title).slice(0, 200), bullets: toStringList(slide.bullets, 8), notes: slide.notes ? String(slide.notes) : '' }));
+
+  if (slides.length === 0) {
+    throw new Error('The model returned no usable slides');
+  }
+  const summary = output.summary || {};
+  return {
+    title: output.title ? String(output.title).slice(0, 255) : source.title,
+    subtitle: output.subtitle ? String(output.subtitle) : '',
+    slides,
+    summary: { bullets: toStringList(summary.bullets, 8), notes: summary.notes ? String(summary.notes) : '' }
+  };
+};
+
+// Function to render a slide outline as a PPTX file; returns its buffer
+const renderDeck = (outline) => {
+  const pptx = new PptxGenJS();
+  pptx.layout = 'LAYOUT_WIDE';
+  pptx.title = outline.title;
+
+  const titleSlide = pptx.addSlide();
+  titleSlide.addText(outline.title, { x: 0.6, y: 2.4, w: 12.1, h: 1.4, fontSize: 40, bold: true, align: 'center' });
+  if (outline.subtitle) {
+    titleSlide.addText(outline.subtitle, { x: 0.6, y: 3.9, w: 12.1, h: 0.8, fontSize: 22, color: '555555', align: 'center' });
+  }
+
+  const addBulletSlide = (title, bullets, notes) => {
+    const slide = pptx.addSlide();
+    slide.addText(title, { x: 0.6, y: 0.4, w: 12.1, h: 0.9, fontSize: 30, bold: true });
+    if (bullets.length > 0) {
+      slide.addText(bullets.map(text => ({ text, options: { bullet: true, breakLine: true } })), {
+        x: 0.8, y: 1.5, w: 11.7, h: 5.4, fontSize: 20, valign: 'top', paraSpaceAfter: 8
+      });
+    }
+    if (notes) {
+      slide.addNotes(notes);
+    }
+  };
+
+  outline.slides.forEach(slide => addBulletSlide(slide.title, slide.bullets, slide.notes));
+  addBulletSlide('Summary', outline.summary.bullets, outline.summary.notes);
+
+  return pptx.write({ outputType: 'nodebuffer' });
+};
+
+// Function to fetch a teacher's deck with its outline
+const getDeck = async (deckId, googleId) => {
+  const results = await query('SELECT * FROM decks WHERE id = ? AND googleId = ?', [deckId, googleId]);
+  return results.length > 0 ? { ...results[0], outline: parseJSON(results[0].outline) } : null;
+};
+
+// Exam paper settings
+const EXAM_MAX_VERSIONS = 5;
+const EXAM_MAX_QUESTIONS = 200;
+const PDF_PAGE = { width: 595.28, height: 841.89, margin: 50 };
+
+// Function to validate the sections of an exam paper: [{ title, instructions, questions: [{ question,
+// marks, options, answer, explanation }] }]. Returns { sections } or { error }.
+const parseExamSections = (sections) => {
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return { error: 'sections must be a non-empty list' };
+  }
+
+  const parsed = [];
+  let count = 0;
+  for (const [i, section] of sections.entries()) {
+    if (!section || !Array.isArray(section.questions) || section.questions.length === 0) {
+      return { error: `Section ${i + 1} has no questions` };
+    }
+    const questions = [];
+    for (const [j, item] of section.questions.entries()) {
+      const marks = Number(item && item.marks);
+      if (!item || !item.question || !String(item.question).trim()) {
+        return { error: `Question ${j + 1} of section ${i + 1} has no text` };
+      }
+      if (!(marks > 0)) {
+        return { error: `Question ${j + 1} of section ${i + 1} needs marks greater than 0` };
+      }
+      questions.push({
+        question: String(item.question).trim(),
+        marks,
+        options: Array.isArray(item.options) && item.options.length > 0 ? item.options.map(String) : null,
+        answer: item.answer !== undefined && item.answer !== null ? String(item.answer) : null,
+        explanation: item.explanation ? String(item.explanation) : null
+      });
+    }
+    count += questions.length;
+    parsed.push({ title: section.title ? String(section.title) : null, instructions: section.instructions ? String(section.instructions) : null, questions });
+  }
+
+  if (count > EXAM_MAX_QUESTIONS) {
+    return { error: `An exam paper can have at most ${EXAM_MAX_QUESTIONS} questions` };
+  }
+  return { sections: parsed };
+};
+
+// Function to turn a saved quiz into a single exam section
+const sectionsFromQuiz = (quiz, marksPerQuestion) => [{
+  title: quiz.title,
+  instructions: null,
+  questions: quiz.questions.map(question => ({
+    question: question.question,
+    marks: marksPerQuestion,
+    options: question.type === 'mcq' ? question.options : (question.type === 'true_false' ? ['True', 'False'] : null),
+    answer: question.answer,
+    explanation: question.explanation
+  }))
+}];
+
+// Function to shuffle a list into a new list
+const shuffle = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+// Function to make a version of an exam: questions shuffled within each section and MCQ options
+// shuffled, keeping sections in place so their marks and instructions still apply
+const shuffleExamVersion = (sections) => sections.map(section => ({
+  ...section,
+  questions: shuffle(section.questions).map(question => ({
+    ...question,
+    // True/false stays in its natural order
+    options: question.options && question.options.length > 2 ? shuffle(question.options) : question.options
+  }))
+}));
+
+// Function to replace characters the standard PDF fonts cannot draw (they only cover Latin-1)
+const pdfSafe = (text) => String(text)
+  .replace(/[\u2018\u2019]/g, "'")
+  .replace(/[\u201C\u201D]/g, '"')
+  .replace(/[\u2013\u2014]/g, '-')
+  .replace(/\u2026/g, '...')
+  .replace(/\t/g, ' ')
+  .replace(/[^\n\x20-\x7E\xA0-\xFF]/g, '?');
+
+// Function to start a PDF with a top-down writer that wraps text and adds pages as it goes
+const createPdfLayout = async () => {
+  const doc = await PDFDocument.create();
+  const fonts = {
+    regular: await doc.embedFont(StandardFonts.TimesRoman),
+    bold: await doc.embedFont(StandardFonts.TimesRomanBold),
+    italic: await doc.embedFont(StandardFonts.TimesRomanItalic)
+  };
+  const { width, height, margin } = PDF_PAGE;
+  const contentWidth = width - 2 * margin;
+  // Room is left at the bottom of every page for the footer
+  const bottom = margin + 20;
+  let page;
+  let y;
+
+  const newPage = () => {
+    page = doc.addPage([width, height]);
+    y = height - margin;
+  };
+  newPage();
+
+  // Split text into lines that fit the width, breaking words that are too long on their own
+  const wrap = (text, font, size, maxWidth) => {
+    const lines = [];
+    for (const paragraph of text.split('\n')) {
+      let line = '';
+      for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+        while (font.widthOfTextAtSize(word, size) > maxWidth) {
+          let cut = word.length - 1;
+          while (cut > 1 && font.widthOfTextAtSize(word.slice(0, cut), size) > maxWidth) cut--;
+          if (line) {
+            lines.push(line);
+            line = '';
+          }
+          lines.push(word.slice(0, cut));
+          word = word.slice(cut);
+        }
+        const candidate = line ? `${line} ${word}` : word;
+        if (font.widthOfTextAtSize(candidate, size) > maxWidth && line) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  };
+
+  return {
+    // Write wrapped text; `right` is printed against the right margin on the first line (e.g. marks)
+    write: (text, { font = 'regular', size = 11, indent = 0, align = 'left', right = null, after = 4 } = {}) => {
+      const face = fonts[font];
+      const lineHeight = size * 1.3;
+      const rightText = right ? pdfSafe(right) : null;
+      const rightWidth = rightText ? fonts.regular.widthOfTextAtSize(rightText, size) + 12 : 0;
+      wrap(pdfSafe(text), face, size, contentWidth - indent - rightWidth).forEach((line, i) => {
+        if (y - lineHeight < bottom) {
+          newPage();
+        }
+        y -= lineHeight;
+        const x = align === 'center' ? margin + (contentWidth - face.widthOfTextAtSize(line, size)) / 2 : margin + indent;
+        page.drawText(line, { x, y, size, font: face });
+        if (i === 0 && rightText) {
+          page.drawText(rightText, { x: width - margin - fonts.regular.widthOfTextAtSize(rightText, size), y, size, font: fonts.regular });
+        }
+      });
+      y -= after;
+    },
+    gap: (space) => {
+      y -= space;
+    },
+    // Start a new page unless the next block fits on this one
+    keep: (space) => {
+      if (y - space < bottom) {
+        newPage();
+      }
+    },
+    rule: () => {
+      if (y - 16 < bottom) {
+        newPage();
+      }
+      y -= 6;
+      page.drawLine({ start: { x: margin, y }, end: { x: width - margin, y }, thickness: 0.75 });
+      y -= 10;
+    },
+    // Number the pages and return the finished PDF
+    finish: async (footer) => {
+      const pages = doc.getPages();
+      pages.forEach((entry, i) => {
+        const label = pdfSafe(`${footer} - Page ${i + 1} of ${pages.length}`);
+        entry.drawText(label, { x: (width - fonts.regular.widthOfTextAtSize(label, 9)) / 2, y: margin / 2, size: 9, font: fonts.regular });
+      });
+      return Buffer.from(await doc.save());
+    }
+  };
+};
+
+// Function to format a marks label such as "[2 marks]"
+const marksLabel = (marks) => `[${marks} mark${marks === 1 ? '' : 's'}]`;
+
+// Function to write the header block shared by exam papers and answer keys
+const writeExamHeader = (layout, header, totalMarks, version, heading) => {
+  layout.write(header.exam, { font: 'bold', size: 18, align: 'center' });
+  if (heading) {
+    layout.write(heading, { font: 'bold', size: 13, align: 'center' });
+  }
+  const details = [header.paper && `Paper: ${header.paper}`, header.subject && `Subject: ${header.subject}`].filter(Boolean).join('      ');
+  if (details) {
+    layout.write(details, { size: 12, align: 'center' });
+  }
+  const timing = [header.duration && `Duration: ${header.duration}`, `Total marks: ${totalMarks}`, version && `Version ${version}`].filter(Boolean).join('      ');
+  layout.write(timing, { size: 12, align: 'center' });
+  layout.rule();
+};
+
+// Function to number the questions of a paper across its sections, starting at 1
+const numberQuestions = (sections) => {
+  let number = 0;
+  return sections.map(section => ({ ...section, questions: section.questions.map(question => ({ ...question, number: ++number })) }));
+};
+
+// Function to render an exam paper as a PDF
+const renderExamPdf = async (header, sections, totalMarks, version) => {
+  const layout = await createPdfLayout();
+  writeExamHeader(layout, header, totalMarks, version);
+  if (header.instructions) {
+    layout.write(header.instructions, { font: 'italic', after: 10 });
+  }
+
+  numberQuestions(sections).forEach((section, i) => {
+    const sectionMarks = section.questions.reduce((total, question) => total + question.marks, 0);
+    layout.keep(60);
+    layout.write(`Section ${String.fromCharCode(65 + i)}${section.title ? `: ${section.title}` : ''}`, { font: 'bold', size: 13, right: marksLabel(sectionMarks), after: 2 });
+    if (section.instructions) {
+      layout.write(section.instructions, { font: 'italic', after: 2 });
+    }
+    layout.gap(6);
+
+    for (const question of section.questions) {
+      layout.keep(40);
+      layout.write(`${question.number}.  ${question.question}`, { right: marksLabel(question.marks), after: 2 });
+      (question.options || []).forEach((option, j) => {
+        layout.write(`(${String.fromCharCode(97 + j)})  ${option}`, { indent: 22, after: 1 });
+      });
+      layout.gap(10);
+    }
+  });
+
+  return layout.finish(`${header.exam}${version ? ` - Version ${version}` : ''}`);
+};
+
+// Function to render the answer key of an exam paper version as a PDF
+const renderAnswerKeyPdf = async (header, sections, totalMarks, version) => {
+  const layout = await createPdfLayout();
+  writeExamHeader(layout, header, totalMarks, version, 'Answer key');
+
+  numberQuestions(sections).forEach((section, i) => {
+    layout.keep(40);
+    layout.write(`Section ${String.fromCharCode(65 + i)}${section.title ? `: ${section.title}` : ''}`, { font: 'bold', size: 13, after: 6 });
+
+    for (const question of section.questions) {
+      // MCQ answers are given with the option letter of this version
+      const optionIndex = question.options && question.answer !== null ? question.options.indexOf(question.answer) : -1;
+      const answer = question.answer === null ? 'No answer provided'
+        : optionIndex !== -1 ? `(${String.fromCharCode(97 + optionIndex)}) ${question.answer}` : question.answer;
+      layout.keep(30);
+      layout.write(`${question.number}.  ${answer}`, { right: marksLabel(question.marks), after: 2 });
+      if (question.explanation) {
+        layout.write(question.explanation, { font: 'italic', indent: 22, after: 2 });
+      }
+      layout.gap(6);
+    }
+  });
+
+  return layout.finish(`${header.exam} - Answer key${version ? ` - Version ${version}` : ''}`);
+};
+
+// Function to fetch a teacher's exam paper with its generated files
+const getExamPaper = async (examPaperId, googleId) => {
+  const results = await query('SELECT * FROM exam_papers WHERE id = ? AND googleId = ?', [examPaperId, googleId]);
+  if (results.length === 0) {
+    return null;
+  }
+  const examPaper = results[0];
+  const files = await query('SELECT id, version, kind, file_key FROM exam_paper_files WHERE exam_paper_id = ? ORDER BY version, kind', [examPaper.id]);
+  return { ...examPaper, header: parseJSON(examPaper.header), sections: parseJSON(examPaper.sections), files };
+};
+
+// Listing settings for GET /notes, /audiofiles and /pqfiles
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+
+// The columns each listing can return, the ones it returns when `fields` is not given (never the
+// vectors or a note's text), the exact-match filters it accepts and what it can be sorted by. Sort
+// expressions give empty values a fixed place, since NULL never matches a cursor comparison.
+const RESOURCE_LISTINGS = {
+  audio: {
+    fields: ['id', 'title', 'date', 'status', 'source_url', 'audio', 'transcription', 'embedding'],
+    defaultFields: ['id', 'title', 'date', 'status', 'source_url'],
+    filters: ['status'],
+    sorts: { date: "COALESCE(date, '1000-01-01')", title: "COALESCE(title, '')", id: 'id' }
+  },
+  note: {
+    fields: ['id', 'title', 'category', 'exam', 'paper', 'subject', 'topics', 'text', 'vector', 'status', 'file_key', 'created_at'],
+    defaultFields: ['id', 'title', 'category', 'exam', 'paper', 'subject', 'topics', 'status', 'file_key', 'created_at'],
+    filters: ['category', 'exam', 'paper', 'subject', 'status'],
+    sorts: { date: "COALESCE(created_at, '1000-01-01')", title: "COALESCE(title, '')", id: 'id' }
+  },
+  paper: {
+    fields: ['id', 'title', 'date', 'status', 'file_key', 'text', 'vector'],
+    defaultFields: ['id', 'title', 'date', 'status'],
+    filters: ['status'],
+    sorts: { date: "COALESCE(date, '1000-01-01')", title: "COALESCE(title, '')", id: 'id' }
+  }
+};
+const NOTE_ONLY_FILTERS = ['category', 'exam', 'paper', 'subject', 'topics'];
+
+// Function to escape the wildcards of a LIKE pattern
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// Function to split a comma-separated query parameter into a list
+const splitParam = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Function to turn a from/to query parameter into a MySQL datetime; a bare date covers the whole day
+const parseDateParam = (value, endOfDay) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return `${value} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : formatDateToMySQL(date);
+};
+
+// Function to build the SQL for a from/to date range on a column. Returns { conditions, values } or { error }.
+const dateRangeConditions = (column, params) => {
+  const conditions = [];
+  const values = [];
+  for (const [param, operator] of [['from', '>='], ['to', '<=']]) {
+    if (params[param] === undefined) {
+      continue;
+    }
+    const value = parseDateParam(String(params[param]), param === 'to');
+    if (!value) {
+      return { error: `${param} must be a date such as 2024-01-31` };
+    }
+    conditions.push(`${column} ${operator} ?`);
+    values.push(value);
+  }
+  return { conditions, values };
+};
+
+// Function to encode and decode list cursors: the sort, and the sort value and id of the last row of a page
+const encodeCursor = (sort, value, id) => Buffer.from(JSON.stringify([sort, value instanceof Date ? formatDateToMySQL(value) : value, id])).toString('base64url');
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(decoded) && decoded.length === 3 && Number.isInteger(decoded[2]) ? { sort: decoded[0], value: decoded[1], id: decoded[2] } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Function to list a user's notes, audio or papers. Query parameters: fields, sort (date, title or id),
+// order, limit, cursor, from, to and the listing's filters; topics matches notes covering any of the
+// given comma-separated topics. Only a request with limit or cursor is paged; without them every
+// matching row is listed, as these endpoints did before paging. Returns { paged, items, nextCursor }
+// or { error }.
+const listResources = async (resourceType, googleId, params) => {
+  const listing = RESOURCE_LISTINGS[resourceType];
+  const { table, dateField } = RESOURCE_TYPES[resourceType];
+
+  const fields = params.fields ? splitParam(params.fields) : listing.defaultFields;
+  const unknownField = fields.find(field => !listing.fields.includes(field));
+  if (unknownField) {
+    return { error: `Unknown field "${unknownField}"; fields can be any of: ${listing.fields.join(', ')}` };
+  }
+
+  const paged = params.limit !== undefined || params.cursor !== undefined;
+  const limit = params.limit !== undefined ? Number(params.limit) : LIST_DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > LIST_MAX_LIMIT) {
+    return { error: `limit must be a whole number from 1 to ${LIST_MAX_LIMIT}` };
+  }
+
+  const sort = params.sort || 'date';
+  const sortExpression = listing.sorts[sort];
+  if (!sortExpression) {
+    return { error: `sort must be one of: ${Object.keys(listing.sorts).join(', ')}` };
+  }
+  const order = String(params.order || (sort === 'title' ? 'asc' : 'desc')).toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const conditions = ['googleId = ?', 'deleted_at IS NULL'];
+  const values = [googleId];
+
+  const unsupported = resourceType !== 'note' && NOTE_ONLY_FILTERS.find(filter => params[filter] !== undefined);
+  if (unsupported) {
+    return { error: `${unsupported} can only filter notes` };
+  }
+  for (const filter of listing.filters) {
+    if (params[filter] !== undefined) {
+      conditions.push(`${filter} = ?`);
+      values.push(String(params[filter]));
+    }
+  }
+  if (params.topics !== undefined) {
+    const topics = splitParam(params.topics);
+    if (topics.length > 0) {
+      conditions.push(`(${topics.map(() => 'topics LIKE ?').join(' OR ')})`);
+      values.push(...topics.map(topic => `%${escapeLike(topic)}%`));
+    }
+  }
+
+  const range = dateRangeConditions(dateField, params);
+  if (range.error) {
+    return { error: range.error };
+  }
+  conditions.push(...range.conditions);
+  values.push(...range.values);
+
+  // Keyset pagination on (sort value, id) so pages stay stable while rows are added
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor);
+    if (!cursor || cursor.sort !== sort) {
+      return { error: 'Invalid cursor' };
+    }
+    const operator = order === 'asc' ? '>' : '<';
+    conditions.push(`(${sortExpression} ${operator} ? OR (${sortExpression} = ? AND id ${operator} ?))`);
+    values.push(cursor.value, cursor.value, cursor.id);
+  }
+
+  // The id and sort value are always read to build the cursor, then dropped unless requested
+  const columns = [...new Set([...fields, 'id'])];
+  const rows = await query(
+    `SELECT ${columns.join(', ')}, ${sortExpression} AS sort_value FROM ${table} WHERE ${conditions.join(' AND ')} ORDER BY sort_value ${order}, id ${order}${paged ? ' LIMIT ?' : ''}`,
+    paged ? [...values, limit + 1] : values
+  );
+
+  const page = paged ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
+  return {
+    paged,
+    items: page.map(row => Object.fromEntries(fields.map(field => [field, row[field]]))),
+    nextCursor: paged && rows.length > limit ? encodeCursor(sort, last.sort_value, last.id) : null
+  };
+};
+
+// Function to shape a listing for the response: a page is { items, nextCursor }, an unpaged list stays a bare array
+const listResponse = ({ paged, items, nextCursor }) => paged ? { items, nextCursor } : items;
+
+// Unified search settings. Keyword and semantic hits are merged with reciprocal rank fusion;
+// SEARCH_RRF_K damps the lead of the top ranks of either list.
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+const SEARCH_MAX_TERMS = 8;
+const SEARCH_KEYWORD_CANDIDATES = 100;
+const SEARCH_SEMANTIC_CANDIDATES = 50;
+const SEARCH_RRF_K = 60;
+const SEARCH_MODES = ['hybrid', 'keyword', 'semantic'];
+
+// Function to split a search query into distinct lowercase terms
+const searchTerms = (text) => [...new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(term => term.length > 1))]
+  .slice(0, SEARCH_MAX_TERMS);
+
+// Function to count the occurrences of a term in a text
+const countOccurrences = (text, term) => {
+  let count = 0;
+  for (let index = text.indexOf(term); index !== -1; index = text.indexOf(term, index + term.length)) {
+    count++;
+  }
+  return count;
+};
+
+// Function to find a user's documents that contain any of the terms, scored by how often they
+// occur; a match in the title counts three times
+const keywordSearch = async (googleId, terms, resourceTypes, range) => {
+  const hits = [];
+  for (const resourceType of resourceTypes) {
+    const { table, textField, dateField } = RESOURCE_TYPES[resourceType];
+    const { conditions, values } = dateRangeConditions(dateField, range);
+    const patterns = terms.map(term => `%${escapeLike(term)}%`);
+    const rows = await query(
+      `SELECT id, title, ${dateField} AS date, ${textField} AS text FROM ${table}
+       WHERE googleId = ? AND status = 'ready' AND deleted_at IS NULL AND (${terms.map(() => `title LIKE ? OR ${textField} LIKE ?`).join(' OR ')})
+       ${conditions.map(condition => `AND ${condition}`).join(' ')} LIMIT ?`,
+      [googleId, ...patterns.flatMap(pattern => [pattern, pattern]), ...values, SEARCH_KEYWORD_CANDIDATES]
+    );
+
+    for (const row of rows) {
+      const title = row.title.toLowerCase();
+      const text = (row.text || '').toLowerCase();
+      const score = terms.reduce((total, term) => total + 3 * countOccurrences(title, term) + countOccurrences(text, term), 0);
+      // The excerpt starts a little before the first match in the text
+      const first = Math.min(...terms.map(term => text.indexOf(term)).filter(index => index !== -1));
+      const start = Number.isFinite(first) ? Math.max(0, first - 80) : 0;
+      hits.push({ resourceType, resourceId: row.id, title: row.title, date: row.date, keywordScore: score, excerpt: (row.text || '').slice(start, start + 200) });
+    }
+  }
+  return hits.sort((a, b) => b.keywordScore - a.keywordScore);
+};
+
+// Function to find a user's documents by embedding similarity, one hit per document from its best chunk
+const semanticSearch = async (googleId, text, resourceTypes) => {
+  const ranked = await searchUserChunks(googleId, await generateEmbedding(text), resourceTypes, SEARCH_SEMANTIC_CANDIDATES);
+  const hits = new Map();
+  for (const chunk of ranked) {
+    const key = `${chunk.resourceType}:${chunk.resourceId}`;
+    if (!hits.has(key)) {
+      hits.set(key, {
+        resourceType: chunk.resourceType,
+        resourceId: chunk.resourceId,
+        title: chunk.title,
+        semanticScore: chunk.similarity,
+        chunkIndex: chunk.chunkIndex,
+        excerpt: chunk.text.slice(0, 200),
+        ...describeTimestamps(chunk)
+      });
+    }
+  }
+  return [...hits.values()];
+};
+
+// Function to keep the semantic hits of ready documents within the date range, adding their dates
+const filterSemanticHits = async (googleId, hits, range) => {
+  const kept = [];
+  for (const resourceType of Object.keys(RESOURCE_TYPES)) {
+    const ofType = hits.filter(hit => hit.resourceType === resourceType);
+    if (ofType.length === 0) {
+      continue;
+    }
+    const { table, dateField } = RESOURCE_TYPES[resourceType];
+    const { conditions, values } = dateRangeConditions(dateField, range);
+    const rows = await query(
+      `SELECT id, ${dateField} AS date FROM ${table} WHERE googleId = ? AND status = 'ready' AND deleted_at IS NULL AND id IN (?) ${conditions.map(condition => `AND ${condition}`).join(' ')}`,
+      [googleId, ofType.map(hit => hit.resourceId), ...values]
+    );
+    const dateById = new Map(rows.map(row => [row.id, row.date]));
+    kept.push(...ofType.filter(hit => dateById.has(hit.resourceId)).map(hit => ({ ...hit, date: dateById.get(hit.resourceId) })));
+  }
+  return kept.sort((a, b) => b.semanticScore - a.semanticScore);
+};
+
+// Function to merge ranked keyword and semantic hits by reciprocal rank fusion
+const fuseSearchHits = (keywordHits, semanticHits) => {
+  const fused = new Map();
+  const add = (hits, matchedBy) => hits.forEach((hit, rank) => {
+    const key = `${hit.resourceType}:${hit.resourceId}`;
+    const entry = fused.get(key) || { score: 0, matchedBy: [], keywordScore: null, semanticScore: null };
+    // The keyword excerpt shows the match, so it is kept over the chunk excerpt
+    fused.set(key, { ...hit, ...entry, excerpt: entry.excerpt || hit.excerpt, [`${matchedBy}Score`]: hit[`${matchedBy}Score`], score: entry.score + 1 / (SEARCH_RRF_K + rank + 1), matchedBy: [...entry.matchedBy, matchedBy] });
+  });
+  add(keywordHits, 'keyword');
+  add(semanticHits, 'semantic');
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+};
+
+// Editable metadata of each resource type, as request field => column; the text is handled separately
+// because changing it means keeping a version and embedding again
+const EDITABLE_FIELDS = {
+  audio: { title: 'title' },
+  note: { title: 'title', category: 'category', exam: 'exam', paper: 'paper', subject: 'subject', topics: 'topics' },
+  paper: { title: 'title', date: 'date' }
+};
+const TEXT_FIELDS = { audio: 'transcription', note: 'text', paper: 'text' };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Function to validate a PATCH body against a resource's editable fields. Returns { updates, text,
+// segments } or { error }; text and segments are undefined when the text is not being changed.
+const parseResourceEdit = (resourceType, body) => {
+  const updates = {};
+  for (const [field, column] of Object.entries(EDITABLE_FIELDS[resourceType])) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    const value = String(body[field]).trim();
+    if (!value) {
+      return { error: `${field} cannot be empty` };
+    }
+    if (field === 'date' && !DATE_PATTERN.test(value)) {
+      return { error: 'date must be a date such as 2024-01-31' };
+    }
+    updates[column] = field === 'title' ? value.slice(0, 255) : value;
+  }
+
+  const textField = TEXT_FIELDS[resourceType];
+  let text = body[textField] !== undefined ? String(body[textField]).trim() : undefined;
+  let segments;
+  if (resourceType === 'audio' && body.segments !== undefined) {
+    const parsed = parseSegmentEdit(body.segments);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    segments = parsed.segments;
+    text = segments.map(segment => segment.text).join(' ');
+  }
+  if (text !== undefined && !text) {
+    return { error: `${textField} cannot be empty` };
+  }
+
+  if (Object.keys(updates).length === 0 && text === undefined) {
+    return { error: `Nothing to update; send any of: ${[...Object.keys(EDITABLE_FIELDS[resourceType]), textField, ...(resourceType === 'audio' ? ['segments'] : [])].join(', ')}` };
+  }
+  return { updates, text, segments };
+};
+
+// Function to validate corrected transcript segments. Speakers are numbered from 1, as the transcript
+// route returns them, and stored from 0.
+const parseSegmentEdit = (segments) => {
+  if (!Array.isArray(segments) || segments.length === 0) {
+    return { error: 'segments must be a non-empty list' };
+  }
+  const parsed = [];
+  for (const [i, segment] of segments.entries()) {
+    const start = Number(segment && segment.start);
+    const end = Number(segment && segment.end);
+    const text = segment && segment.text ? String(segment.text).trim() : '';
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end < start) {
+      return { error: `Segment ${i + 1} needs start and end times in seconds, with end after start` };
+    }
+    if (!text) {
+      return { error: `Segment ${i + 1} has no text` };
+    }
+    const speaker = segment.speaker !== undefined && segment.speaker !== null ? Number(segment.speaker) : null;
+    if (speaker !== null && (!Number.isInteger(speaker) || speaker < 1)) {
+      return { error: `Segment ${i + 1} has an invalid speaker` };
+    }
+    parsed.push({ start, end, speaker: speaker !== null ? speaker - 1 : null, text });
+  }
+  return { segments: parsed };
+};
+
+// Function to keep the current text of a resource (and an audio transcript's segments) as a version
+const saveResourceVersion = async (resourceType, row, editedBy, run = query) => {
+  const segments = resourceType === 'audio' ? await getSegments(row.id, run) : [];
+  const [{ latest }] = await run(
+    'SELECT COALESCE(MAX(version), 0) AS latest FROM resource_versions WHERE resource_type = ? AND resource_id = ?',
+    [resourceType, row.id]
+  );
+  await run(
+    'INSERT INTO resource_versions (resource_type, resource_id, googleId, version, title, text, segments, edited_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [resourceType, row.id, row.googleId, latest + 1, row.title, row[TEXT_FIELDS[resourceType]], segments.length > 0 ? JSON.stringify(segments) : null, editedBy]
+  );
+  return latest + 1;
+};
+
+// Function to replace the text of a resource and embed it again, along with any other column
+// `updates`. The text is embedded before anything is written; the current text is then kept as a
+// version and the chunks, segments and row are rewritten in one transaction, so a failure leaves
+// the resource as it was. The row is read again and locked inside the transaction, so concurrent
+// edits wait for each other and each keeps the text it replaced under its own version number.
+// A transcript corrected as plain text loses its segments, whose timings no longer match it;
+// corrected segments keep them.
+const replaceResourceText = async (resourceType, row, text, segments, editedBy, updates = {}) => {
+  const { table, vectorField } = RESOURCE_TYPES[resourceType];
+  const { chunks, embedding } = segments && segments.length > 0 ? await embedTranscript(segments) : await embedDocument(text);
+
+  const columns = { ...updates, [TEXT_FIELDS[resourceType]]: text, [vectorField]: JSON.stringify(embedding) };
+  return transaction(async (run) => {
+    const [current] = await run(`SELECT * FROM ${table} WHERE id = ? FOR UPDATE`, [row.id]);
+    if (!current) {
+      throw new Error(`${table} row ${row.id} no longer exists`);
+    }
+    const version = await saveResourceVersion(resourceType, current, editedBy, run);
+    if (resourceType === 'audio') {
+      await saveSegments(row.id, segments || [], run);
+    }
+    await deleteChunks(resourceType, row.id, run);
+    await saveChunks(resourceType, row.id, row.googleId, chunks, run);
+    await run(
+      `UPDATE ${table} SET ${Object.keys(columns).map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(columns), row.id]
+    );
+    return version;
+  });
+};
+
+// Function to fetch a stored version of a resource
+const getResourceVersion = async (resourceType, resourceId, version) => {
+  const results = await query(
+    'SELECT * FROM resource_versions WHERE resource_type = ? AND resource_id = ? AND version = ?',
+    [resourceType, resourceId, version]
+  );
+  if (results.length === 0) {
+    return null;
+  }
+  const segments = parseJSON(results[0].segments);
+  return { ...results[0], segments: Array.isArray(segments) ? segments : [] };
+};
+
+// Largest diff table (lines before x lines after) worked out in full; bigger diffs show a full replacement
+const DIFF_MAX_CELLS = 4000000;
+
+// Function to split text into diff lines; a transcript is often one long line, so sentences are split too
+const diffUnits = (text) => text.split(/\n|(?<=[.!?])\s+/).filter(line => line.trim());
+
+// Function to diff two texts line by line (longest common subsequence). Returns the changes in order as
+// { type: 'same' | 'removed' | 'added', text }.
+const diffText = (before, after) => {
+  const a = diffUnits(before);
+  const b = diffUnits(after);
+
+  // Unchanged lines at both ends are set aside, which keeps the table small for typical edits
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  const changes = a.slice(0, start).map(text => ({ type: 'same', text }));
+  if ((midA.length + 1) * (midB.length + 1) > DIFF_MAX_CELLS) {
+    changes.push(...midA.map(text => ({ type: 'removed', text })), ...midB.map(text => ({ type: 'added', text })));
+  } else {
+    const width = midB.length + 1;
+    const lengths = new Uint32Array((midA.length + 1) * width);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = midA[i] === midB[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        changes.push({ type: 'same', text: midA[i++] });
+        j++;
+      } else if (i < midA.length && (j === midB.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+        changes.push({ type: 'removed', text: midA[i++] });
+      } else {
+        changes.push({ type: 'added', text: midB[j++] });
+      }
+    }
+  }
+  changes.push(...a.slice(endA).map(text => ({ type: 'same', text })));
+  return changes;
+};
+
+// Function to sign a removed or re-addressed student out, unless their Google account is still on a roster
+const signOutUnrosteredStudent = async (googleSub) => {
+  if (!googleSub) {
+    return;
+  }
+  const remaining = await query('SELECT 1 FROM students WHERE google_sub = ? AND deleted_at IS NULL LIMIT 1', [googleSub]);
+  if (remaining.length === 0) {
+    await revokeAllSessions(googleSub, 'student');
+  }
+};
+
+// Function to save changes to a student. A new email unlinks the Google account that signed in with
+// the old one, which is signed out unless it is still on another roster.
+const updateStudent = async (student, updates) => {
+  const columns = { ...updates };
+  const emailChanged = updates.email !== undefined && updates.email.toLowerCase() !== String(student.email || '').toLowerCase();
+  if (emailChanged) {
+    columns.google_sub = null;
+  }
+  await query(
+    `UPDATE students SET ${Object.keys(columns).map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...Object.values(columns), student.id]
+  );
+  if (emailChanged) {
+    await signOutUnrosteredStudent(student.google_sub);
+  }
+};
+
+// Items stay in the trash this many days before they are purged automatically
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// What goes to the trash instead of being deleted, with the column that names each item
+const TRASH_TYPES = {
+  audio: { table: 'Audio', nameField: 'title' },
+  note: { table: 'notes', nameField: 'title' },
+  paper: { table: 'previouspapers', nameField: 'title' },
+  student: { table: 'students', nameField: 'name' }
+};
+
+// Function to work out when an item deleted at the given time will be purged
+const trashPurgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Function to move a user's item to the trash; returns false if there is no such item outside the trash
+const moveToTrash = async (type, id, googleId) => {
+  const results = await query(
+    `UPDATE ${TRASH_TYPES[type].table} SET deleted_at = NOW() WHERE id = ? AND googleId = ? AND deleted_at IS NULL`,
+    [id, googleId]
+  );
+  return results.affectedRows > 0;
+};
+
+// Function to fetch an item of the user's trash
+const getTrashedItem = async (type, id, googleId) => {
+  const results = await query(`SELECT * FROM ${TRASH_TYPES[type].table} WHERE id = ? AND googleId = ? AND deleted_at IS NOT NULL`, [id, googleId]);
+  return results.length > 0 ? results[0] : null;
+};
+
+// Function to delete a trashed item for good, with its chunks, versions, class links and stored file;
+// a student goes with their gradings and answer sheets
+const purgeTrashedItem = async (type, row) => {
+  await query(`DELETE FROM ${TRASH_TYPES[type].table} WHERE id = ?`, [row.id]);
+  if (type === 'student') {
+    await query('DELETE FROM class_students WHERE student_id = ?', [row.id]);
+    const gradings = await query('SELECT id, file_key FROM gradings WHERE student_id = ?', [row.id]);
+    if (gradings.length > 0) {
+      await query('DELETE FROM grading_items WHERE grading_id IN (?)', [gradings.map(grading => grading.id)]);
+      await query('DELETE FROM gradings WHERE student_id = ?', [row.id]);
+      for (const grading of gradings) {
+        await removeStoredFile(grading.file_key);
+      }
+    }
+  } else {
+    await deleteResourceData(type, row.id, row[RESOURCE_TYPES[type].fileField]);
+  }
+};
+
+// Function to purge everything that has been in the trash longer than the retention period
+const purgeExpiredTrash = async () => {
+  let purged = 0;
+  for (const [type, { table }] of Object.entries(TRASH_TYPES)) {
+    const rows = await query(`SELECT * FROM ${table} WHERE deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)`, [TRASH_RETENTION_DAYS]);
+    for (const row of rows) {
+      await purgeTrashedItem(type, row);
+      purged++;
+    }
+  }
+  return purged;
+};
+
+// Function to purge expired trash on startup and then every hour
+const startTrashPurger = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged > 0) {
+        console.log(`Purged ${purged} expired trash item(s)`);
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    }
+  };
+  run();
+  setInterval(run, TRASH_PURGE_INTERVAL_MS);
+};
+
+// Function to format date for MySQL
+const formatDateToMySQL = (datetime) => {
+  const pad = (number) => number.toString().padStart(2, '0');
+
+  const year = datetime.getFullYear();
+  const month = pad(datetime.getMonth() + 1);
+  const day = pad(datetime.getDate());
+  const hours = pad(datetime.getHours());
+  const minutes = pad(datetime.getMinutes());
+  const seconds = pad(datetime.getSeconds());
+
+  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+};
+const generateTitle = async (text) => {
+  try {
+    const response = await ai.chat({
+      messages: [
+        {
+          role: "system",
+          content: "Generate a concise and informative title for the following text:"
+        },
+        {
+          role: "user",
+          content: text
+        }
+      ]
+    });
+    return response.content;
+  } catch (error) {
+    console.error("Error generating title:", error);
+    throw error;
+  }
+};
+
+// Route for Google authentication
+app.post('/auth/google', async (req, res) => {
+  const { tokenId } = req.body;
+
+  let userData;
+  try {
+    userData = await verifyGoogleToken(tokenId);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: 'Invalid token' });
+  }
+
+  try {
+    const results = await query('SELECT * FROM users WHERE googleId = ?', [userData.sub]);
+
+    let user = results[0];
+    if (!user) {
+      user = await provisionUser(userData);
+    } else if (user.disabled_at) {
+      return res.status(403).json({ success: false, message: 'This account has been disabled' });
+    }
+    if (userData.email_verified && ADMIN_EMAILS.includes(userData.email.toLowerCase())) {
+      user = await ensureAdmin(user);
+    }
+
+    const claims = { googleId: user.googleId, email: user.email, role: user.role, institutionId: user.institution_id };
+    const session = await issueSession(req, claims, user.role);
+    // Invitations are only offered to accounts whose Google email is verified
+    const invitations = userData.email_verified && !user.institution_id ? await pendingInvitations(user.email) : [];
+    res.json({ success: true, user, invitations, token: session.token, refreshToken: session.refreshToken });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({ success: false, message: 'Database query error' });
+  }
+});
+
+// Route for student Google sign-in: the Google account is linked to every roster
+// entry with the same verified email
+app.post('/auth/google/student', async (req, res) => {
+  const { tokenId } = req.body;
+
+  let userData;
+  try {
+    userData = await verifyGoogleToken(tokenId);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: 'Invalid token' });
+  }
+
+  if (!userData.email_verified) {
+    return res.status(403).json({ success: false, message: 'Google account email is not verified' });
+  }
+
+  try {
+    const students = await query(
+      'SELECT id, name, student_number, google_sub FROM students WHERE LOWER(email) = LOWER(?) AND deleted_at IS NULL',
+      [userData.email]
+    );
+    // Entries already linked to a different Google account are left alone
+    const linkable = students.filter(student => !student.google_sub || student.google_sub === userData.sub);
+    if (linkable.length === 0) {
+      return res.status(403).json({ success: false, message: 'No student roster entry matches this email' });
+    }
+
+    await query('UPDATE students SET google_sub = ? WHERE id IN (?)', [userData.sub, linkable.map(student => student.id)]);
+
+    const session = await issueSession(req, { googleId: userData.sub, email: userData.email, role: 'student' }, 'student');
+    res.json({
+      success: true,
+      student: { name: linkable[0].name, email: userData.email, studentNumbers: linkable.map(student => student.student_number) },
+      token: session.token,
+      refreshToken: session.refreshToken
+    });
+  } catch (error) {
+    console.error('Error signing in student:', error);
+    res.status(500).json({ success: false, message: 'Database query error' });
+  }
+});
+
+// Exchange a refresh token for a new access token and a new refresh token. A refresh token
+// that was already rotated is a sign it leaked, so reusing one ends its whole session.
+app.post('/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, message: 'Refresh token is required' });
+  }
+
+  try {
+    const results = await query(
+      'SELECT *, expires_at > NOW() AS active FROM refresh_tokens WHERE token_hash = ?',
+      [hashToken(refreshToken)]
+    );
+    if (results.length === 0) {
+      return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+    }
+
+    const stored = results[0];
+    if (stored.revoked_at) {
+      await revokeSession(stored.family_id);
+      return res.status(401).json({ success: false, message: 'Refresh token has been revoked' });
+    }
+    if (!stored.active) {
+      return res.status(401).json({ success: false, message: 'Refresh token has expired' });
+    }
+
+    const claims = await sessionClaims(stored.googleId, stored.role);
+    if (!claims) {
+      await revokeAllSessions(stored.googleId, stored.role);
+      return res.status(401).json({ success: false, message: 'Account no longer exists' });
+    }
+
+    // The conditional update stops two concurrent refreshes from both rotating the same token
+    const rotated = await query('UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [stored.id]);
+    if (rotated.affectedRows === 0) {
+      await revokeSession(stored.family_id);
+      return res.status(401).json({ success: false, message: 'Refresh token has been revoked' });
+    }
+
+    const session = await issueSession(req, claims, claims.role, stored.family_id);
+    await query('UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?', [session.refreshTokenId, stored.id]);
+
+    res.json({ success: true, token: session.token, refreshToken: session.refreshToken });
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ success: false, message: 'Error refreshing session' });
+  }
+});
+
+// Log out of the session a refresh token belongs to
+app.post('/auth/logout', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, message: 'Refresh token is required' });
+  }
+
+  try {
+    const results = await query('SELECT family_id FROM refresh_tokens WHERE token_hash = ?', [hashToken(refreshToken)]);
+    if (results.length > 0) {
+      await revokeSession(results[0].family_id);
+    }
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ success: false, message: 'Error logging out' });
+  }
+});
+
+// Log out of every device
+app.post('/auth/logout-all', authenticateJWT, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.googleId, req.user.role);
+    res.json({ success: true, message: 'Logged out of all devices' });
+  } catch (error) {
+    console.error('Error logging out of all devices:', error);
+    res.status(500).json({ success: false, message: 'Error logging out' });
+  }
+});
+
+// Active sessions of the signed-in account; "current" marks the one making the request
+app.get('/auth/sessions', authenticateJWT, async (req, res) => {
+  try {
+    const sql = `SELECT family_id, MIN(created_at) AS signed_in_at, MAX(created_at) AS last_refreshed_at, MAX(user_agent) AS user_agent
+      FROM refresh_tokens WHERE googleId = ? AND ${sessionScope(req.user.role)} AND revoked_at IS NULL AND expires_at > NOW()
+      GROUP BY family_id ORDER BY last_refreshed_at DESC`;
+    const results = await query(sql, [req.user.googleId]);
+    res.json(results.map(session => ({
+      id: session.family_id,
+      userAgent: session.user_agent,
+      signedInAt: session.signed_in_at,
+      lastRefreshedAt: session.last_refreshed_at,
+      current: session.family_id === req.user.sid
+    })));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Error fetching sessions' });
+  }
+});
+
+app.delete('/auth/sessions/:id', authenticateJWT, async (req, res) => {
+  try {
+    const results = await query(
+      `UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND googleId = ? AND ${sessionScope(req.user.role)} AND revoked_at IS NULL`,
+      [req.params.id, req.user.googleId]
+    );
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Error revoking session' });
+  }
+});
+
+// Institution administration: admins manage the teacher, assistant and admin accounts of their institution
+app.get('/admin/users', adminOnly, async (req, res) => {
+  try {
+    const users = await query(
+      'SELECT googleId, email, name, role, disabled_at, createdAt FROM users WHERE institution_id = ? ORDER BY name',
+      [req.user.institutionId]
+    );
+    const invitations = await query('SELECT id, email, role, created_at FROM invitations WHERE institution_id = ? ORDER BY created_at DESC', [req.user.institutionId]);
+    res.status(200).json({ users, invitations });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Error fetching users' });
+  }
+});
+
+// Add an account to the institution. An account the institution already has gets the new role; anyone
+// else is invited, and joins only once they accept the invitation.
+app.post('/admin/users', adminOnly, async (req, res) => {
+  const email = (req.body.email || '').trim().toLowerCase();
+  const role = req.body.role || 'teacher';
+
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ error: 'A valid email is required' });
+  }
+  if (!STAFF_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${STAFF_ROLES.join(', ')}` });
+  }
+
+  try {
+    const users = await query('SELECT googleId, institution_id FROM users WHERE LOWER(email) = ?', [email]);
+    if (users.length > 0 && users[0].institution_id) {
+      const user = users[0];
+      if (user.institution_id !== req.user.institutionId) {
+        return res.status(409).json({ error: 'That account belongs to another institution' });
+      }
+      if (user.googleId === req.user.googleId) {
+        return res.status(400).json({ error: 'You cannot change your own account' });
+      }
+      await query('UPDATE users SET role = ? WHERE googleId = ?', [role, user.googleId]);
+      // Existing sessions still carry the old role
+      await revokeAllSessions(user.googleId, 'staff');
+      return res.status(200).json({ message: 'User role updated', googleId: user.googleId, role });
+    }
+
+    const invitations = await query('SELECT institution_id FROM invitations WHERE email = ?', [email]);
+    if (invitations.length > 0 && invitations[0].institution_id !== req.user.institutionId) {
+      return res.status(409).json({ error: 'That email already has an invitation from another institution' });
+    }
+    await query(
+      'INSERT INTO invitations (institution_id, email, role, invited_by) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE role = VALUES(role), invited_by = VALUES(invited_by)',
+      [req.user.institutionId, email, role, req.user.googleId]
+    );
+    res.status(201).json({ message: 'Invitation created; the account holder has to accept it', email, role });
+  } catch (error) {
+    console.error('Error adding user:', error);
+    res.status(500).json({ error: 'Error adding user' });
+  }
+});
+
+// Change an account's role or disable/enable it. Either change signs the account out everywhere.
+app.patch('/admin/users/:googleId', adminOnly, async (req, res) => {
+  const { role, disabled } = req.body;
+
+  if (role === undefined && disabled === undefined) {
+    return res.status(400).json({ error: 'Provide a role or disabled' });
+  }
+  if (role !== undefined && !STAFF_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${STAFF_ROLES.join(', ')}` });
+  }
+  if (req.params.googleId === req.user.googleId) {
+    return res.status(400).json({ error: 'You cannot change your own account' });
+  }
+
+  try {
+    const users = await query('SELECT role, disabled_at FROM users WHERE googleId = ? AND institution_id = ?', [req.params.googleId, req.user.institutionId]);
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const disabledAt = disabled === undefined ? users[0].disabled_at : (disabled ? new Date() : null);
+    await query(
+      'UPDATE users SET role = ?, disabled_at = ? WHERE googleId = ?',
+      [role !== undefined ? role : users[0].role, disabledAt, req.params.googleId]
+    );
+    await revokeAllSessions(req.params.googleId, 'staff');
+    res.status(200).json({ message: 'User updated successfully' });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Error updating user' });
+  }
+});
+
+// Remove an account: it is disabled and signed out, and its material is kept
+app.delete('/admin/users/:googleId', adminOnly, async (req, res) => {
+  if (req.params.googleId === req.user.googleId) {
+    return res.status(400).json({ error: 'You cannot remove your own account' });
+  }
+
+  try {
+    const results = await query(
+      'UPDATE users SET disabled_at = NOW() WHERE googleId = ? AND institution_id = ? AND disabled_at IS NULL',
+      [req.params.googleId, req.user.institutionId]
+    );
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await revokeAllSessions(req.params.googleId, 'staff');
+    res.status(200).json({ message: 'User removed successfully' });
+  } catch (error) {
+    console.error('Error removing user:', error);
+    res.status(500).json({ error: 'Error removing user' });
+  }
+});
+
+app.delete('/admin/invitations/:id', adminOnly, async (req, res) => {
+  try {
+    const results = await query('DELETE FROM invitations WHERE id = ? AND institution_id = ?', [req.params.id, req.user.institutionId]);
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    res.status(200).json({ message: 'Invitation deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting invitation:', error);
+    res.status(500).json({ error: 'Error deleting invitation' });
+  }
+});
+
+// Institution invitations for the signed-in account. Accepting one sets the account's role and
+// institution and starts a new session carrying them; the account's other sessions are ended.
+app.get('/invitations', staffOnly, async (req, res) => {
+  try {
+    res.status(200).json(await pendingInvitations(req.user.email));
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({ error: 'Error fetching invitations' });
+  }
+});
+
+app.post('/invitations/:id/accept', staffOnly, async (req, res) => {
+  try {
+    const invitations = await query('SELECT * FROM invitations WHERE id = ? AND email = ?', [req.params.id, (req.user.email || '').toLowerCase()]);
+    if (invitations.length === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    const invitation = invitations[0];
+
+    const results = await query(
+      'UPDATE users SET role = ?, institution_id = ? WHERE googleId = ? AND institution_id IS NULL AND disabled_at IS NULL',
+      [invitation.role, invitation.institution_id, req.user.googleId]
+    );
+    if (results.affectedRows === 0) {
+      return res.status(409).json({ error: 'This account already belongs to an institution' });
+    }
+    await query('DELETE FROM invitations WHERE id = ?', [invitation.id]);
+
+    await revokeAllSessions(req.user.googleId, 'staff');
+    const claims = await sessionClaims(req.user.googleId, invitation.role);
+    const session = await issueSession(req, claims, claims.role);
+    res.status(200).json({ message: 'Invitation accepted', role: claims.role, token: session.token, refreshToken: session.refreshToken });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({ error: 'Error accepting invitation' });
+  }
+});
+
+app.post('/invitations/:id/decline', staffOnly, async (req, res) => {
+  try {
+    const results = await query('DELETE FROM invitations WHERE id = ? AND email = ?', [req.params.id, (req.user.email || '').toLowerCase()]);
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    res.status(200).json({ message: 'Invitation declined' });
+  } catch (error) {
+    console.error('Error declining invitation:', error);
+    res.status(500).json({ error: 'Error declining invitation' });
+  }
+});
+
+// AI usage. Each call is logged with its tokens or audio minutes and an estimated cost; admins set
+// daily or monthly quotas, and routes that call paid services answer 429 once one is reached.
+const USAGE_GROUPS = { user: 'a.googleId', feature: 'a.feature', model: 'a.model', day: 'DATE(a.created_at)' };
+
+// Function to list the accounts whose usage an institution's admins see: its staff, and the students
+// on its teachers' rosters who have signed in
+const institutionAccounts = async (institutionId) => {
+  const staff = await query('SELECT googleId, email FROM users WHERE institution_id = ?', [institutionId]);
+  const students = await query(
+    `SELECT DISTINCT s.google_sub AS googleId, s.email FROM students s JOIN users u ON u.googleId = s.googleId
+     WHERE u.institution_id = ? AND s.google_sub IS NOT NULL AND s.deleted_at IS NULL`,
+    [institutionId]
+  );
+  return [...staff, ...students];
+};
+
+// Function to build a usage report for some users over a date range, grouped by the given dimensions
+const usageReport = async (googleIds, params, groupBy) => {
+  const range = dateRangeConditions('a.created_at', params);
+  if (range.error) {
+    return { error: range.error };
+  }
+  if (googleIds.length === 0) {
+    return { rows: [], totals: { calls: 0, prompt_tokens: 0, completion_tokens: 0, audio_minutes: 0, cost: 0 } };
+  }
+
+  const columns = groupBy.map(group => `${USAGE_GROUPS[group]} AS ${group}`);
+  const measures = `COUNT(*) AS calls, SUM(a.prompt_tokens) AS prompt_tokens, SUM(a.completion_tokens) AS completion_tokens,
+    SUM(a.audio_seconds) / 60 AS audio_minutes, SUM(a.cost) AS cost`;
+  const from = `FROM ai_usage a WHERE a.googleId IN (?) ${range.conditions.map(condition => `AND ${condition}`).join(' ')}`;
+  const values = [googleIds, ...range.values];
+
+  const rows = await query(
+    `SELECT ${[...columns, measures].join(', ')} ${from}
+     GROUP BY ${groupBy.map(group => USAGE_GROUPS[group]).join(', ')} ORDER BY cost DESC`,
+    values
+  );
+  const [totals] = await query(`SELECT ${measures} ${from}`, values);
+  const toNumbers = (row) => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, ['calls', 'prompt_tokens', 'completion_tokens', 'audio_minutes', 'cost'].includes(key) ? Number(value) || 0 : value]));
+  return { rows: rows.map(toNumbers), totals: toNumbers(totals) };
+};
+
+// Function to read the groupBy query parameter of a usage report
+const parseUsageGroups = (value, allowed) => {
+  const groups = value ? splitParam(value) : [allowed[0]];
+  return groups.every(group => allowed.includes(group)) ? groups : null;
+};
+
+// The signed-in user's own usage by feature (or model/day), and where they stand against their quotas
+app.get('/usage', authenticateJWT, async (req, res) => {
+  const groupBy = parseUsageGroups(req.query.groupBy, ['feature', 'model', 'day']);
+  if (!groupBy) {
+    return res.status(400).json({ error: 'groupBy can be any of: feature, model, day' });
+  }
+
+  try {
+    const report = await usageReport([req.user.googleId], req.query, groupBy);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+    const { quotas } = await quotaStatus(req.user.googleId);
+    res.status(200).json({ ...report, quotas });
+  } catch (error) {
+    console.error('Error fetching usage:', error);
+    res.status(500).json({ error: 'Error fetching usage' });
+  }
+});
+
+// Usage of the institution's accounts, per user (default), feature, model or day, over ?from= and ?to=
+app.get('/admin/usage', adminOnly, async (req, res) => {
+  const groupBy = parseUsageGroups(req.query.groupBy, Object.keys(USAGE_GROUPS));
+  if (!groupBy) {
+    return res.status(400).json({ error: `groupBy can be any of: ${Object.keys(USAGE_GROUPS).join(', ')}` });
+  }
+
+  try {
+    const accounts = (await institutionAccounts(req.user.institutionId))
+      .filter(account => !req.query.googleId || account.googleId === req.query.googleId);
+    if (req.query.googleId && accounts.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const report = await usageReport(accounts.map(account => account.googleId), req.query, groupBy);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+    if (groupBy.includes('user')) {
+      const emails = new Map(accounts.map(account => [account.googleId, account.email]));
+      report.rows.forEach(row => { row.email = emails.get(row.user); });
+    }
+    res.status(200).json(report);
+  } catch (error) {
+    console.error('Error fetching usage report:', error);
+    res.status(500).json({ error: 'Error fetching usage report' });
+  }
+});
+
+// Function to check that an account belongs to the admin's institution
+const isInstitutionUser = async (googleId, institutionId) => {
+  const accounts = await institutionAccounts(institutionId);
+  return accounts.some(account => account.googleId === googleId);
+};
+
+app.get('/admin/users/:googleId/quotas', adminOnly, async (req, res) => {
+  try {
+    if (!(await isInstitutionUser(req.params.googleId, req.user.institutionId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(200).json(await quotaStatus(req.params.googleId));
+  } catch (error) {
+    console.error('Error fetching quotas:', error);
+    res.status(500).json({ error: 'Error fetching quotas' });
+  }
+});
+
+// Set a user's daily or monthly quota: any of maxCost (US dollars), maxTokens and maxAudioMinutes;
+// null removes that limit
+app.put('/admin/users/:googleId/quotas/:period', adminOnly, async (req, res) => {
+  const { period } = req.params;
+  if (!QUOTA_PERIODS[period]) {
+    return res.status(400).json({ error: `period must be one of: ${Object.keys(QUOTA_PERIODS).join(', ')}` });
+  }
+
+  const limits = {};
+  for (const field of ['maxCost', 'maxTokens', 'maxAudioMinutes']) {
+    const value = req.body[field];
+    if (value === undefined || value === null) {
+      limits[field] = null;
+    } else if (!(Number(value) >= 0)) {
+      return res.status(400).json({ error: `${field} must be a number of at least 0` });
+    } else {
+      limits[field] = Number(value);
+    }
+  }
+  if (Object.values(limits).every(value => value === null)) {
+    return res.status(400).json({ error: 'Provide any of: maxCost, maxTokens, maxAudioMinutes' });
+  }
+
+  try {
+    if (!(await isInstitutionUser(req.params.googleId, req.user.institutionId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await query(
+      `INSERT INTO ai_quotas (googleId, period, max_cost, max_tokens, max_audio_minutes, set_by) VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE max_cost = VALUES(max_cost), max_tokens = VALUES(max_tokens), max_audio_minutes = VALUES(max_audio_minutes), set_by = VALUES(set_by)`,
+      [req.params.googleId, period, limits.maxCost, limits.maxTokens, limits.maxAudioMinutes, req.user.googleId]
+    );
+    res.status(200).json({ message: 'Quota saved successfully', ...(await quotaStatus(req.params.googleId)) });
+  } catch (error) {
+    console.error('Error saving quota:', error);
+    res.status(500).json({ error: 'Error saving quota' });
+  }
+});
+
+app.delete('/admin/users/:googleId/quotas/:period', adminOnly, async (req, res) => {
+  try {
+    if (!(await isInstitutionUser(req.params.googleId, req.user.institutionId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const results = await query('DELETE FROM ai_quotas WHERE googleId = ? AND period = ?', [req.params.googleId, req.params.period]);
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Quota not found' });
+    }
+    res.status(200).json({ message: 'Quota removed successfully' });
+  } catch (error) {
+    console.error('Error removing quota:', error);
+    res.status(500).json({ error: 'Error removing quota' });
+  }
+});
+
+//Audio ai completed
+app.post('/upload-transcribe', teacherOnly, upload.single('audio'), meterAI, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).send('No audio file uploaded.');
+  }
+
+  try {
+    // Store the audio file; the job transcribes the buffer already in memory
+    const audioKey = storageKey('audio', req.file.originalname);
+    await storeUpload(audioKey, req.file.buffer, req.file.mimetype);
+
+    const currentDate = new Date();
+
+    // The row stays pending until the transcription job fills in the transcription, title and embedding
+    const sql = "INSERT INTO Audio (googleId, transcription, audio, title, embedding, date, status) VALUES (?, '', ?, ?, NULL, ?, 'pending')";
+    const values = [req.user.googleId, audioKey, req.file.originalname, formatDateToMySQL(currentDate)];
+    const result = await query(sql, values);
+
+    const jobId = await enqueueJob(req.user.googleId, 'transcribe-audio', 'audio', result.insertId, { key: audioKey, mimetype: req.file.mimetype });
+
+    res.status(202).json({
+      jobId: jobId,
+      id: result.insertId,
+      status: 'pending',
+      date: formatDateToMySQL(currentDate)
+    });
+
+  } catch (error) {
+    console.error('Error processing request:', error);
+    res.status(500).send('Error processing request.');
+  }
+});
+// Ingest a lecture from a YouTube or remote file URL. The URL is checked up front so private,
+// over-long or non-media links get a clear error; fetching and transcription run as a job.
+// Remote files are checked against INGEST_MAX_MB up front and INGEST_MAX_MINUTES by the job, since
+// their length is not known before transcription.
+app.post('/ingest-url', teacherOnly, meterAI, async (req, res) => {
+  const { url } = req.body;
+  const preferCaptions = req.body.preferCaptions !== false;
+
+  if (!url) {
+    return res.status(400).json({ error: 'url is required' });
+  }
+
+  try {
+    const media = await inspectMediaUrl(url);
+    if (media.error) {
+      return res.status(422).json({ error: media.error });
+    }
+
+    const currentDate = new Date();
+    const sql = "INSERT INTO Audio (googleId, transcription, audio, title, embedding, date, status, source_url) VALUES (?, '', NULL, ?, NULL, ?, 'pending', ?)";
+    const result = await query(sql, [req.user.googleId, (media.title || url).slice(0, 255), formatDateToMySQL(currentDate), url]);
+
+    const jobId = await enqueueJob(req.user.googleId, 'ingest-url', 'audio', result.insertId, { url, kind: media.kind, preferCaptions });
+
+    res.status(202).json({
+      jobId: jobId,
+      id: result.insertId,
+      status: 'pending',
+      date: formatDateToMySQL(currentDate)
+    });
+  } catch (error) {
+    console.error('Error ingesting URL:', error);
+    res.status(500).json({ error: 'Error ingesting URL' });
+  }
+});
+
+//completed
+app.get('/audiofiles', teacherOnly, async (req, res) => {
+  try {
+    const result = await listResources('audio', req.user.googleId, req.query);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(200).json(listResponse(result));
+  } catch (error) {
+    console.error('Error fetching Audio list:', error);
+    res.status(500).json({ error: 'Error fetching Audio list' });
+  }
+});
+
+//completed
+app.post('/audioask/:id', staffOnly, authorize('resource', 'read', loadResource('audio'), 'Audio'), meterAI, async (req, res) => {
+  try {
+    const { question, conversationId } = req.body;
+    const id = req.params.id;
+
+    if (!question) {
+      return res.status(400).send('Question is required.');
+    }
+
+    // The stored transcription, loaded by the access check
+    const audio = req.subject.row;
+
+    if (audio.status !== 'ready') {
+      return res.status(409).json({ error: `Audio is not ready (status: ${audio.status})` });
+    }
+
+    // Load earlier turns when the question continues a conversation
+    let history = null;
+    if (conversationId) {
+      history = await loadConversationHistory(conversationId, req.user.googleId);
+      if (!history) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+    }
+
+    try {
+      // Rank the transcription chunks against the question and keep the top-k
+      const storedChunks = await loadChunks('audio', id, audio.googleId, audio.transcription);
+      if (!storedChunks) {
+        return res.status(409).json(CHUNKS_PENDING);
+      }
+      const questionEmbedding = await generateEmbedding(retrievalQuery(question, history));
+      const topChunks = rankChunks(storedChunks, questionEmbedding);
+
+      // Answer from the retrieved chunks and the question, streaming tokens if requested
+      await answerQuestion(req, res, [
+        { role: "system", content: "You are a helpful assistant. The context is taken from a lecture transcript; cite the timestamp of each part you use, like [12:34]." },
+        ...(history ? history.messages : []),
+        { role: "user", content: `Answer the question based on the following context:\n\n${formatChunkContext(topChunks)}\n\nQuestion: ${question}` }
+      ], async (answer) => {
+        const similarity = topChunks.length > 0 ? topChunks[0].similarity : 0;
+        const chunks = describeChunks(topChunks);
+        if (history) {
+          await saveTurn(history.conversation, question, answer, chunks.map(chunk => ({ resourceType: 'audio', resourceId: Number(id), ...chunk })));
+        }
+        return { answer: answer, similarity: similarity, chunks: chunks, conversationId: history ? history.conversation.id : undefined };
+      });
+    } catch (error) {
+      console.error('Error generating response:', error);
+      res.status(500).json({ error: 'Error generating response' });
+    }
+  } catch (error) {
+    console.error('Error processing request:', error);
+    res.status(500).json({ error: 'Error processing request' });
+  }
+});
+
+// completed
+app.get('/audiofile/:id', staffOnly, authorize('resource', 'read', loadResource('audio'), 'Audio'), (req, res) => {
+  // Return title, date, and other information loaded by the access check
+  const audioFile = req.subject.row;
+  res.status(200).json({ audioFile });
+});
+
+// Segmented transcript with start/end times and speaker labels, or a TXT, SRT or WebVTT download with ?format=
+app.get('/audiofile/:id/transcript', staffOnly, authorize('resource', 'read', loadResource('audio'), 'Audio'), async (req, res) => {
+  if (req.subject.row.status !== 'ready') {
+    return res.status(409).json({ error: `Audio is not ready (status: ${req.subject.row.status})` });
+  }
+
+  try {
+    await sendTranscript(req, res, req.subject.row);
+  } catch (error) {
+    console.error('Error fetching transcript:', error);
+    res.status(500).json({ error: 'Error fetching transcript' });
+  }
+});
+
+// Play back the recording: a short-lived presigned URL, or the file itself with HTTP Range support
+// when the storage backend cannot presign or ?mode=proxy is given
+app.get('/audiofile/:id/stream', staffOnly, authorize('resource', 'read', loadResource('audio'), 'Audio'), async (req, res) => {
+  if (!req.subject.row.audio) {
+    return res.status(404).json({ error: 'No recording is stored for this lecture' });
+  }
+
+  try {
+    await sendStoredFile(req, res, req.subject.row.audio);
+  } catch (error) {
+    console.error('Error streaming audio:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Error streaming audio' });
+    }
+  }
+});
+
+// Move a lecture to the trash; it can be restored until it is purged
+app.delete('/audiofile/:id', teacherOnly, authorize('resource', 'manage', loadResource('audio'), 'Audio'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+      // Check if any rows were affected (i.e., the audio was not already in the trash)
+      if (!(await moveToTrash('audio', id, req.user.googleId))) {
+          return res.status(404).json({ error: 'Audio not found' });
+      }
+
+      // Return success message
+      res.status(200).json({ message: 'Audio moved to the trash', purgeAt: trashPurgeDate(new Date()) });
+  } catch (error) {
+      console.error('Error deleting audio:', error);
+      res.status(500).json({ error: 'Error deleting audio' });
+  }
+});
+
+
+//notesAi completed
+app.post('/upload-notes', teacherOnly, upload.single('file'), meterAI, async (req, res) => {
+  console.log('Request body:', req.body);
+  console.log('Request file:', req.file);
+
+  if (!req.file) {
+    return res.status(400).send('No file uploaded.');
+  }
+
+  try {
+    const file = req.file;
+    const { title, category, exam, paper, subject, topics } = req.body;
+
+    if (!title || !category || !exam || !paper || !subject || !topics) {
+      return res.status(400).send('All fields (title, category, exam, paper, subject, topics) are required.');
+    }
+
+    // Reject unsupported files before storing anything
+    if (!detectDocumentType(file.buffer, file.originalname)) {
+      return res.status(400).send(`Unsupported file type. Upload ${SUPPORTED_DOCUMENTS}.`);
+    }
+
+    // Store the file; the job extracts text from the buffer already in memory
+    const fileKey = storageKey('notes', file.originalname);
+    await storeUpload(fileKey, file.buffer, file.mimetype);
+
+    // The row stays pending until the processing job fills in the text and embedding
+    const sql = "INSERT INTO notes (title, category, exam, paper, subject, topics, text, vector, googleId, status, file_key) VALUES (?, ?, ?, ?, ?, ?, '', NULL, ?, 'pending', ?)";
+    const values = [title, category, exam, paper, subject, topics, req.user.googleId, fileKey];
+    const result = await query(sql, values);
+
+    const jobId = await enqueueJob(req.user.googleId, 'process-note', 'note', result.insertId, { key: fileKey, mimetype: file.mimetype });
+
+    res.status(202).json({ message: 'File uploaded and queued for processing.', jobId: jobId, id: result.insertId, status: 'pending' });
+
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    res.status(500).send('Error uploading file.');
+  }
+});
+
+app.post('/noteask/:id', staffOnly, authorize('resource', 'read', loadResource('note'), 'Note'), meterAI, async (req, res) => {
+  try {
+    const { question, conversationId } = req.body;
+    const id = req.params.id;
+
+    if (!question) {
+      return res.status(400).send('Question is required.');
+    }
+
+    // The stored note text, loaded by the access check
+    const note = req.subject.row;
+
+    if (note.status !== 'ready') {
+      return res.status(409).json({ error: `Note is not ready (status: ${note.status})` });
+    }
+
+    // Load earlier turns when the question continues a conversation
+    let history = null;
+    if (conversationId) {
+      history = await loadConversationHistory(conversationId, req.user.googleId);
+      if (!history) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+    }
+
+    try {
+      // Rank the note chunks against the question and keep the top-k
+      const storedChunks = await loadChunks('note', id, note.googleId, note.text);
+      if (!storedChunks) {
+        return res.status(409).json(CHUNKS_PENDING);
+      }
+      const questionEmbedding = await generateEmbedding(retrievalQuery(question, history));
+      const topChunks = rankChunks(storedChunks, questionEmbedding);
+
+      // Answer from the retrieved chunks and the question, streaming tokens if requested
+      await answerQuestion(req, res, [
+        { role: "system", content: "You are a helpful assistant." },
+        ...(history ? history.messages : []),
+        { role: "user", content: `Answer the question based on the following context:\n\n${formatChunkContext(topChunks)}\n\nQuestion: ${question}` }
+      ], async (answer) => {
+        const similarity = topChunks.length > 0 ? topChunks[0].similarity : 0;
+        const chunks = describeChunks(topChunks);
+        if (history) {
+          await saveTurn(history.conversation, question, answer, chunks.map(chunk => ({ resourceType: 'note', resourceId: Number(id), ...chunk })));
+        }
+        return { answer: answer, similarity: similarity, chunks: chunks, conversationId: history ? history.conversation.id : undefined };
+      });
+    } catch (error) {
+      console.error('Error generating response:', error);
+      res.status(500).json({ error: 'Error generating response' });
+    }
+  } catch (error) {
+    console.error('Error processing request:', error);
+    res.status(500).json({ error: 'Error processing request' });
+  }
+});
+
+app.delete('/notes/:id', teacherOnly, authorize('resource', 'manage', loadResource('note'), 'Note'), async (req, res) => {
+  const id = req.params.id;
+  const googleId = req.user.googleId; // Assuming googleId is retrieved from JWT
+
+  try {
+    // The note goes to the trash; it can be restored until it is purged
+    if (!(await moveToTrash('note', id, googleId))) {
+      return res.status(404).json({ error: 'No record found with the provided ID and googleId' });
+    }
+
+    res.status(200).json({ message: 'Record moved to the trash', purgeAt: trashPurgeDate(new Date()) });
+  } catch (error) {
+    console.error('Error deleting record:', error);
+    res.status(500).json({ error: 'Error deleting record' });
+  }
+});
+
+app.get('/notes/:id', staffOnly, authorize('resource', 'read', loadResource('note'), 'Note'), (req, res) => {
+  res.status(200).json(req.subject.row);
+});
+
+// Notes of the authenticated user, paged when limit or cursor is given; see listResources for the query parameters
+app.get('/notes', teacherOnly, async (req, res) => {
+  try {
+    const result = await listResources('note', req.user.googleId, req.query);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(200).json(listResponse(result));
+  } catch (error) {
+    console.error('Error querying database:', error);
+    res.status(500).json({ error: 'Error querying database' });
+  }
+});
+
+
+
+//testAi completed
+app.post('/uploadpapers', teacherOnly, upload.single('file'), meterAI, async (req, res) => {
+  console.log('Request body:', req.body);
+  console.log('Request file:', req.file);
+
+  if (!req.file) {
+    return res.status(400).send('No file uploaded.');
+  }
+
+  try {
+    const file = req.file;
+
+    // Reject unsupported files before storing anything
+    if (!detectDocumentType(file.buffer, file.originalname)) {
+      return res.status(400).send(`Unsupported file type. Upload ${SUPPORTED_DOCUMENTS}.`);
+    }
+
+    // Store the file; the job extracts text from the buffer already in memory
+    const fileKey = storageKey('papers', file.originalname);
+    await storeUpload(fileKey, file.buffer, file.mimetype);
+
+    // Get the current date
+    const currentDate = formatDateToMySQL(new Date());
+
+    // The row stays pending until the processing job fills in the title, text and embedding
+    const sql = "INSERT INTO previouspapers (title, text, vector, date, googleId, status, file_key) VALUES (?, '', NULL, ?, ?, 'pending', ?)";
+    const result = await query(sql, [file.originalname, currentDate, req.user.googleId, fileKey]);
+
+    const jobId = await enqueueJob(req.user.googleId, 'process-paper', 'paper', result.insertId, { key: fileKey, mimetype: file.mimetype });
+
+    res.status(202).json({ message: 'File uploaded and queued for processing', jobId: jobId, id: result.insertId, status: 'pending' });
+
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    res.status(500).json({ error: 'Error uploading file' });
+  }
+});
+app.post('/askprevious/:id', staffOnly, authorize('resource', 'read', loadResource('paper'), 'Paper'), meterAI, async (req, res) => {
+  const { question, conversationId } = req.body;
+  const id = req.params.id;
+
+  if (!question || !id) {
+      return res.status(400).json({ error: 'Question and ID are required' });
+  }
+
+  try {
+      // The paper text, loaded by the access check
+      const paper = req.subject.row;
+
+      if (paper.status !== 'ready') {
+          return res.status(409).json({ error: `Paper is not ready (status: ${paper.status})` });
+      }
+
+      // Load earlier turns when the question continues a conversation
+      let history = null;
+      if (conversationId) {
+          history = await loadConversationHistory(conversationId, req.user.googleId);
+          if (!history) {
+              return res.status(404).json({ error: 'Conversation not found' });
+          }
+      }
+
+      // Rank the paper chunks against the question and keep the top-k
+      const storedChunks = await loadChunks('paper', id, paper.googleId, paper.text);
+      if (!storedChunks) {
+          return res.status(409).json(CHUNKS_PENDING);
+      }
+      const questionEmbedding = await generateEmbedding(retrievalQuery(question, history));
+      const topChunks = rankChunks(storedChunks, questionEmbedding);
+
+      // Answer from the retrieved chunks and the question, streaming tokens if requested
+      try {
+          await answerQuestion(req, res, [
+              { role: "system", content: "Generate a response based on the provided context:" },
+              ...(history ? history.messages : []),
+              { role: "user", content: `Context: ${formatChunkContext(topChunks)}\nQuestion: ${question}` }
+          ], async (answer) => {
+              const similarity = topChunks.length > 0 ? topChunks[0].similarity : 0;
+              const chunks = describeChunks(topChunks);
+              if (history) {
+                  await saveTurn(history.conversation, question, answer, chunks.map(chunk => ({ resourceType: 'paper', resourceId: Number(id), ...chunk })));
+              }
+              return { answer: answer, similarity: similarity, chunks: chunks, conversationId: history ? history.conversation.id : undefined };
+          });
+      } catch (error) {
+          console.error('Error generating response:', error);
+          res.status(500).json({ error: 'Error generating response' });
+      }
+  } catch (error) {
+      console.error('Error processing request:', error);
+      res.status(500).json({ error: 'Error processing request' });
+  }
+});
+
+app.get('/pqfiles', teacherOnly, async (req, res) => {
+  try {
+      const result = await listResources('paper', req.user.googleId, req.query);
+      if (result.error) {
+          return res.status(400).json({ error: result.error });
+      }
+      res.status(200).json(listResponse(result));
+  } catch (error) {
+      console.error('Error querying database:', error);
+      res.status(500).json({ error: 'Error querying database' });
+  }
+});
+
+app.get('/pqfile/:id', staffOnly, authorize('resource', 'read', loadResource('paper'), 'Paper'), (req, res) => {
+  res.status(200).json(req.subject.row);
+});
+
+
+app.delete('/pqfile/:id', teacherOnly, authorize('resource', 'manage', loadResource('paper'), 'Paper'), async (req, res) => {
+  const id = req.params.id;
+
+  try {
+      // The paper goes to the trash; it can be restored until it is purged
+      if (!(await moveToTrash('paper', id, req.user.googleId))) {
+          return res.status(404).json({ error: 'No data found for the provided ID' });
+      }
+
+      res.status(200).json({ message: 'File moved to the trash', purgeAt: trashPurgeDate(new Date()) });
+  } catch (error) {
+      console.error('Error querying database:', error);
+      res.status(500).json({ error: 'Error querying database' });
+  }
+});
+
+// Edits and version history, shared by notes, audio and previous papers. A changed text is embedded
+// again, and the text it replaces is kept as a version that can be viewed, compared or restored.
+const editResource = async (req, res) => {
+  const { resourceType, row } = req.subject;
+  const edit = parseResourceEdit(resourceType, req.body);
+  if (edit.error) {
+    return res.status(400).json({ error: edit.error });
+  }
+  if (edit.text !== undefined && row.status !== 'ready') {
+    return res.status(409).json({ error: `The text cannot be edited until processing finishes (status: ${row.status})` });
+  }
+
+  try {
+    // A new text is written together with the other changes; without one only the columns change
+    let version = null;
+    const columns = Object.keys(edit.updates);
+    if (edit.text !== undefined && (edit.text !== row[TEXT_FIELDS[resourceType]] || edit.segments)) {
+      version = await replaceResourceText(resourceType, row, edit.text, edit.segments, req.user.googleId, edit.updates);
+    } else if (columns.length > 0) {
+      await query(
+        `UPDATE ${RESOURCE_TYPES[resourceType].table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => edit.updates[column]), row.id]
+      );
+    }
+
+    const [updated] = await query(`SELECT ${RESOURCE_LISTINGS[resourceType].defaultFields.join(', ')} FROM ${RESOURCE_TYPES[resourceType].table} WHERE id = ?`, [row.id]);
+    res.status(200).json({ message: 'Updated successfully', savedVersion: version, resource: updated });
+  } catch (error) {
+    console.error('Error updating resource:', error);
+    res.status(500).json({ error: 'Error updating resource' });
+  }
+};
+
+const listVersions = async (req, res) => {
+  const { resourceType, row } = req.subject;
+  try {
+    const versions = await query(
+      'SELECT version, title, edited_by, created_at, CHAR_LENGTH(text) AS length FROM resource_versions WHERE resource_type = ? AND resource_id = ? ORDER BY version DESC',
+      [resourceType, row.id]
+    );
+    res.status(200).json({ versions });
+  } catch (error) {
+    console.error('Error fetching versions:', error);
+    res.status(500).json({ error: 'Error fetching versions' });
+  }
+};
+
+const getVersion = async (req, res) => {
+  const { resourceType, row } = req.subject;
+  try {
+    const version = await getResourceVersion(resourceType, row.id, req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    res.status(200).json(version);
+  } catch (error) {
+    console.error('Error fetching version:', error);
+    res.status(500).json({ error: 'Error fetching version' });
+  }
+};
+
+// Compare a version with the current text (default) or with another version given as ?against=
+const diffVersion = async (req, res) => {
+  const { resourceType, row } = req.subject;
+  const against = req.query.against || 'current';
+  try {
+    const version = await getResourceVersion(resourceType, row.id, req.params.version);
+    const other = against === 'current' ? { version: 'current', text: row[TEXT_FIELDS[resourceType]] } : await getResourceVersion(resourceType, row.id, against);
+    if (!version || !other) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const changes = diffText(version.text, other.text);
+    res.status(200).json({
+      from: version.version,
+      to: other.version,
+      added: changes.filter(change => change.type === 'added').length,
+      removed: changes.filter(change => change.type === 'removed').length,
+      changes
+    });
+  } catch (error) {
+    console.error('Error comparing versions:', error);
+    res.status(500).json({ error: 'Error comparing versions' });
+  }
+};
+
+// Bring back the text of a version; the text it replaces is kept as a new version
+const restoreVersion = async (req, res) => {
+  const { resourceType, row } = req.subject;
+  if (row.status !== 'ready') {
+    return res.status(409).json({ error: `The text cannot be restored until processing finishes (status: ${row.status})` });
+  }
+
+  try {
+    const version = await getResourceVersion(resourceType, row.id, req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    const savedVersion = await replaceResourceText(resourceType, row, version.text, version.segments, req.user.googleId);
+    res.status(200).json({ message: `Version ${version.version} restored successfully`, savedVersion });
+  } catch (error) {
+    console.error('Error restoring version:', error);
+    res.status(500).json({ error: 'Error restoring version' });
+  }
+};
+
+const manageNote = [teacherOnly, authorize('resource', 'manage', loadResource('note'), 'Note')];
+const manageAudio = [teacherOnly, authorize('resource', 'manage', loadResource('audio'), 'Audio')];
+const managePaper = [teacherOnly, authorize('resource', 'manage', loadResource('paper'), 'Paper')];
+
+app.patch('/notes/:id', manageNote, meterAI, editResource);
+app.get('/notes/:id/versions', manageNote, listVersions);
+app.get('/notes/:id/versions/:version', manageNote, getVersion);
+app.get('/notes/:id/versions/:version/diff', manageNote, diffVersion);
+app.post('/notes/:id/versions/:version/restore', manageNote, meterAI, restoreVersion);
+
+app.patch('/audiofile/:id', manageAudio, meterAI, editResource);
+app.get('/audiofile/:id/versions', manageAudio, listVersions);
+app.get('/audiofile/:id/versions/:version', manageAudio, getVersion);
+app.get('/audiofile/:id/versions/:version/diff', manageAudio, diffVersion);
+app.post('/audiofile/:id/versions/:version/restore', manageAudio, meterAI, restoreVersion);
+
+app.patch('/pqfile/:id', managePaper, meterAI, editResource);
+app.get('/pqfile/:id/versions', managePaper, listVersions);
+app.get('/pqfile/:id/versions/:version', managePaper, getVersion);
+app.get('/pqfile/:id/versions/:version/diff', managePaper, diffVersion);
+app.post('/pqfile/:id/versions/:version/restore', managePaper, meterAI, restoreVersion);
+
+// Trash: deleted notes, audio, papers and students, kept for TRASH_RETENTION_DAYS before being purged
+app.get('/trash', teacherOnly, async (req, res) => {
+  try {
+    const items = [];
+    for (const [type, { table, nameField }] of Object.entries(TRASH_TYPES)) {
+      const rows = await query(`SELECT id, ${nameField} AS name, deleted_at FROM ${table} WHERE googleId = ? AND deleted_at IS NOT NULL`, [req.user.googleId]);
+      items.push(...rows.map(row => ({ type, ...row, purge_at: trashPurgeDate(row.deleted_at) })));
+    }
+    items.sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+    res.status(200).json({ retentionDays: TRASH_RETENTION_DAYS, items });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Error fetching trash' });
+  }
+});
+
+app.post('/trash/:type/:id/restore', teacherOnly, async (req, res) => {
+  const { type, id } = req.params;
+  if (!TRASH_TYPES[type]) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}` });
+  }
+
+  try {
+    const results = await query(
+      `UPDATE ${TRASH_TYPES[type].table} SET deleted_at = NULL WHERE id = ? AND googleId = ? AND deleted_at IS NOT NULL`,
+      [id, req.user.googleId]
+    );
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Item not found in the trash' });
+    }
+    res.status(200).json({ message: 'Item restored successfully' });
+  } catch (error) {
+    console.error('Error restoring item:', error);
+    res.status(500).json({ error: 'Error restoring item' });
+  }
+});
+
+// Purge one item for good
+app.delete('/trash/:type/:id', teacherOnly, async (req, res) => {
+  const { type, id } = req.params;
+  if (!TRASH_TYPES[type]) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}` });
+  }
+
+  try {
+    const row = await getTrashedItem(type, id, req.user.googleId);
+    if (!row) {
+      return res.status(404).json({ error: 'Item not found in the trash' });
+    }
+    await purgeTrashedItem(type, row);
+    res.status(200).json({ message: 'Item deleted permanently' });
+  } catch (error) {
+    console.error('Error purging item:', error);
+    res.status(500).json({ error: 'Error purging item' });
+  }
+});
+
+// Empty the user's trash
+app.delete('/trash', teacherOnly, async (req, res) => {
+  try {
+    let purged = 0;
+    for (const [type, { table }] of Object.entries(TRASH_TYPES)) {
+      const rows = await query(`SELECT * FROM ${table} WHERE googleId = ? AND deleted_at IS NOT NULL`, [req.user.googleId]);
+      for (const row of rows) {
+        await purgeTrashedItem(type, row);
+        purged++;
+      }
+    }
+    res.status(200).json({ message: 'Trash emptied', purged });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Error emptying trash' });
+  }
+});
+
+//aichat
+app.post('/aichat', teacherOnly, meterAI, async (req, res) => {
+  const { question, conversationId } = req.body;
+
+  if (!question) {
+    return res.status(400).json({ error: 'Question is required' });
+  }
+
+  // Optionally narrow the search to some resource types, e.g. ["note", "paper"]
+  const resourceTypes = Array.isArray(req.body.resourceTypes) && req.body.resourceTypes.length > 0
+    ? req.body.resourceTypes
+    : Object.keys(RESOURCE_TYPES);
+  if (resourceTypes.some(type => !RESOURCE_TYPES[type])) {
+    return res.status(400).json({ error: `resourceTypes must be any of: ${Object.keys(RESOURCE_TYPES).join(', ')}` });
+  }
+
+  try {
+    const googleId = req.user.googleId; // Get Google ID from authenticated user
+
+    // Load earlier turns when the question continues a conversation
+    let history = null;
+    if (conversationId) {
+      history = await loadConversationHistory(conversationId, googleId);
+      if (!history) {
+        return res.status(404).json({ error: 'Conversation not found' });
       }
+    }
+
+    // Rank the user's audio, notes and previous paper chunks by similarity to the question
+    const questionEmbedding = await generateEmbedding(retrievalQuery(question, history));
+    const ranked = await searchUserChunks(googleId, questionEmbedding, resourceTypes, AICHAT_MAX_CANDIDATES);
+    const sources = selectWithinBudget(ranked);
+
+    // Number the sources so the model can cite them as [1], [2], ...
+    const combinedContext = sources
+      .map((chunk, i) => `[${i + 1}] (${chunk.resourceType}: ${chunk.title})\n${chunk.text}`)
+      .join('\n\n');
+
+    // Answer from the numbered sources, streaming tokens if requested
+    await answerQuestion(req, res, [
+      { role: "system", content: "Give a short response in 2-4 lines. Cite the numbered sources you use like [1]. If the sources do not contain the answer, say so." },
+      ...(history ? history.messages : []),
+      { role: "user", content: combinedContext ? `Answer the question based on the following sources:\n\n${combinedContext}\n\nQuestion: ${question}` : `Question: ${question}` }
+    ], async (answer) => {
+      const similarity = sources.length > 0 ? sources[0].similarity : 0;
+      const citations = describeCitations(sources);
+      if (history) {
+        await saveTurn(history.conversation, question, answer, citations);
+      }
+      return { answer: answer, similarity, citations, conversationId: history ? history.conversation.id : undefined };
+    });
+  } catch (error) {
+    console.error('Error processing request:', error);
+    res.status(500).json({ error: 'Error processing request' });
+  }
+});
+
+
+// Search across the user's notes, papers and audio by keyword and meaning. Query parameters: q,
+// types (comma-separated resource types), mode (hybrid, keyword or semantic), from, to and limit.
+app.get('/search', teacherOnly, meterAI, async (req, res) => {
+  const text = String(req.query.q || '').trim();
+  const mode = req.query.mode || 'hybrid';
+  const resourceTypes = req.query.types ? splitParam(req.query.types) : Object.keys(RESOURCE_TYPES);
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : SEARCH_DEFAULT_LIMIT;
+
+  if (!text) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+  if (!SEARCH_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${SEARCH_MODES.join(', ')}` });
+  }
+  if (resourceTypes.length === 0 || resourceTypes.some(type => !RESOURCE_TYPES[type])) {
+    return res.status(400).json({ error: `types must be any of: ${Object.keys(RESOURCE_TYPES).join(', ')}` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+    return res.status(400).json({ error: `limit must be a whole number from 1 to ${SEARCH_MAX_LIMIT}` });
+  }
+  const range = { from: req.query.from, to: req.query.to };
+  const rangeCheck = dateRangeConditions('date', range);
+  if (rangeCheck.error) {
+    return res.status(400).json({ error: rangeCheck.error });
+  }
+
+  try {
+    const googleId = req.user.googleId;
+    const terms = searchTerms(text);
+    const keywordHits = mode !== 'semantic' && terms.length > 0 ? await keywordSearch(googleId, terms, resourceTypes, range) : [];
+    const semanticHits = mode !== 'keyword' ? await filterSemanticHits(googleId, await semanticSearch(googleId, text, resourceTypes), range) : [];
+
+    res.status(200).json({ results: fuseSearchHits(keywordHits, semanticHits).slice(0, limit) });
+  } catch (error) {
+    console.error('Error searching:', error);
+    res.status(500).json({ error: 'Error searching' });
+  }
+});
+
+
+// Conversations: chat threads whose turns are replayed into the ask routes
+app.post('/conversations', staffOnly, async (req, res) => {
+  const { title } = req.body;
+
+  try {
+    const result = await query('INSERT INTO conversations (googleId, title) VALUES (?, ?)', [req.user.googleId, title || null]);
+    res.status(201).json({ message: 'Conversation created successfully', conversationId: result.insertId });
+  } catch (error) {
+    console.error('Error creating conversation:', error);
+    res.status(500).json({ error: 'Error creating conversation' });
+  }
+});
+
+app.get('/conversations', staffOnly, async (req, res) => {
+  try {
+    const sql = 'SELECT id, title, created_at, updated_at FROM conversations WHERE googleId = ? ORDER BY updated_at DESC';
+    const results = await query(sql, [req.user.googleId]);
+    res.status(200).json(results);
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({ error: 'Error fetching conversations' });
+  }
+});
+
+app.get('/conversations/:id', staffOnly, async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id, req.user.googleId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const messages = await query(
+      'SELECT id, role, content, sources, created_at FROM conversation_messages WHERE conversation_id = ? ORDER BY id',
+      [conversation.id]
+    );
+    res.status(200).json({
+      id: conversation.id,
+      title: conversation.title,
+      summary: conversation.summary,
+      created_at: conversation.created_at,
+      updated_at: conversation.updated_at,
+      messages: messages.map(message => ({
+        ...message,
+        sources: typeof message.sources === 'string' ? JSON.parse(message.sources) : message.sources
+      }))
     });
   } catch (error) {
-    res.status(400).json({ success: false, message: 'Invalid token' });
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({ error: 'Error fetching conversation' });
+  }
+});
+
+app.patch('/conversations/:id', staffOnly, async (req, res) => {
+  const { title } = req.body;
+
+  if (!title) {
+    return res.status(400).json({ error: 'Title is required' });
+  }
+
+  try {
+    const results = await query('UPDATE conversations SET title = ? WHERE id = ? AND googleId = ?', [title, req.params.id, req.user.googleId]);
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.status(200).json({ message: 'Conversation renamed successfully' });
+  } catch (error) {
+    console.error('Error renaming conversation:', error);
+    res.status(500).json({ error: 'Error renaming conversation' });
+  }
+});
+
+app.delete('/conversations/:id', staffOnly, async (req, res) => {
+  try {
+    const results = await query('DELETE FROM conversations WHERE id = ? AND googleId = ?', [req.params.id, req.user.googleId]);
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    await query('DELETE FROM conversation_messages WHERE conversation_id = ?', [req.params.id]);
+    res.status(200).json({ message: 'Conversation deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    res.status(500).json({ error: 'Error deleting conversation' });
+  }
+});
+
+
+// Background job status, for polling after an upload
+app.get('/jobs/:id', teacherOnly, async (req, res) => {
+  try {
+    const results = await query('SELECT * FROM jobs WHERE id = ? AND googleId = ?', [req.params.id, req.user.googleId]);
+    if (results.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = results[0];
+    res.status(200).json({
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress,
+      stage: job.stage,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      error: job.error,
+      resourceType: job.resource_type,
+      resourceId: job.resource_id,
+      createdAt: job.created_at,
+      updatedAt: job.updated_at
+    });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Error fetching job' });
+  }
+});
+
+
+// Quizzes generated from notes and previous papers
+app.post('/quizzes', teacherOnly, meterAI, async (req, res) => {
+  const noteIds = Array.isArray(req.body.noteIds) ? req.body.noteIds : [];
+  const paperIds = Array.isArray(req.body.paperIds) ? req.body.paperIds : [];
+
+  if (noteIds.length === 0 && paperIds.length === 0) {
+    return res.status(400).json({ error: 'Provide at least one id in noteIds or paperIds' });
+  }
+
+  const settings = parseQuizSettings(req.body, { questionCount: 10, questionTypes: ['mcq'], difficulty: 'medium' });
+  if (settings.error) {
+    return res.status(400).json({ error: settings.error });
+  }
+
+  try {
+    const sources = await loadQuizSources(req.user.googleId, noteIds, paperIds);
+    if (!sources) {
+      return res.status(404).json({ error: 'One or more notes or papers were not found or are not ready' });
+    }
+    if (sources.pending) {
+      return res.status(409).json(CHUNKS_PENDING);
+    }
+
+    const generated = await generateQuizQuestions(sources, settings);
+    const title = req.body.title || generated.title || 'Untitled quiz';
+
+    const result = await query(
+      'INSERT INTO quizzes (googleId, title, note_ids, paper_ids, question_count, question_types, difficulty) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [req.user.googleId, title, JSON.stringify(noteIds), JSON.stringify(paperIds), generated.questions.length, JSON.stringify(settings.questionTypes), settings.difficulty]
+    );
+    await saveQuizQuestions(result.insertId, generated.questions);
+
+    res.status(201).json(await getQuiz(result.insertId, req.user.googleId));
+  } catch (error) {
+    console.error('Error generating quiz:', error);
+    res.status(500).json({ error: 'Error generating quiz' });
+  }
+});
+
+app.get('/quizzes', teacherOnly, async (req, res) => {
+  try {
+    const sql = 'SELECT id, title, question_count, difficulty, created_at, updated_at FROM quizzes WHERE googleId = ? ORDER BY updated_at DESC';
+    const results = await query(sql, [req.user.googleId]);
+    res.status(200).json(results);
+  } catch (error) {
+    console.error('Error fetching quizzes:', error);
+    res.status(500).json({ error: 'Error fetching quizzes' });
+  }
+});
+
+app.get('/quizzes/:id', teacherOnly, async (req, res) => {
+  try {
+    const quiz = await getQuiz(req.params.id, req.user.googleId);
+    if (!quiz) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    res.status(200).json(quiz);
+  } catch (error) {
+    console.error('Error fetching quiz:', error);
+    res.status(500).json({ error: 'Error fetching quiz' });
+  }
+});
+
+app.patch('/quizzes/:id', teacherOnly, async (req, res) => {
+  const { title } = req.body;
+
+  if (!title) {
+    return res.status(400).json({ error: 'Title is required' });
+  }
+
+  try {
+    const results = await query(
+      'UPDATE quizzes SET title = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND googleId = ?',
+      [title, req.params.id, req.user.googleId]
+    );
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    res.status(200).json(await getQuiz(req.params.id, req.user.googleId));
+  } catch (error) {
+    console.error('Error updating quiz:', error);
+    res.status(500).json({ error: 'Error updating quiz' });
   }
 });
 
-//Audio ai completed
-app.post('/upload-transcribe', authenticateJWT, upload.single('audio'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).send('No audio file uploaded.');
-  }
-
+// Edit one question; the merged result must still be a valid question of its type
+app.patch('/quizzes/:id/questions/:questionId', teacherOnly, async (req, res) => {
   try {
-    // Define the S3 key and upload the audio file to S3
-    const audioKey = `audio/${Date.now()}_${req.file.originalname}`;
-    const uploadParams = {
-      Bucket: process.env.AWS_BUCKET_NAME,
-      Key: audioKey,
-      Body: req.file.buffer,
-      ContentType: req.file.mimetype,
-    };
-
-    // Upload to S3
-    await s3.send(new PutObjectCommand(uploadParams));
-    // Download the audio file from S3
-    const getObjectParams = {
-      Bucket: process.env.AWS_BUCKET_NAME,
-      Key: audioKey,
-    };
-    const command = new GetObjectCommand(getObjectParams);
-    const { Body } = await s3.send(command);
-
-    // Convert stream to buffer
-    const chunks = [];
-    for await (const chunk of Body) {
-      chunks.push(chunk);
+    const quiz = await getQuiz(req.params.id, req.user.googleId);
+    if (!quiz) {
+      return res.status(404).json({ error: 'Quiz not found' });
     }
-    const audioBuffer = Buffer.concat(chunks);
-    const transcriptionText = await audioFun(audioBuffer);
-    const title = await generateTitle(transcriptionText);
-
-    if (!transcriptionText) {
-      return res.status(500).send('Error in transcription.');
+    const existing = quiz.questions.find(question => question.id === Number(req.params.questionId));
+    if (!existing) {
+      return res.status(404).json({ error: 'Question not found' });
     }
 
-   
-    const embedding = await generateEmbedding(transcriptionText);
-    if (!embedding) {
-      return res.status(500).send('Error generating embedding.');
+    const merged = normalizeQuizQuestion({
+      type: req.body.type !== undefined ? req.body.type : existing.type,
+      question: req.body.question !== undefined ? req.body.question : existing.question,
+      options: req.body.options !== undefined ? req.body.options : existing.options,
+      answer: req.body.answer !== undefined ? req.body.answer : existing.answer,
+      explanation: req.body.explanation !== undefined ? req.body.explanation : existing.explanation
+    }, []);
+    if (!merged) {
+      return res.status(400).json({ error: 'Invalid question: check the type, options and answer' });
     }
 
-    const currentDate = new Date();
-
-    
-    const sql = 'INSERT INTO Audio (googleId, transcription, audio, title, embedding, date) VALUES (?, ?, ?, ?, ?, ?)';
-    const values = [req.user.googleId, transcriptionText, audioKey, title, JSON.stringify(embedding), formatDateToMySQL(currentDate)];
-
-    connection.query(sql, values, (err) => {
-      if (err) {
-        console.error('Error inserting into database:', err);
-        return res.status(500).send('Error processing request.');
-      }
-      res.status(200).json({
-        transcription: transcriptionText,
-        embedding: embedding,
-        date: formatDateToMySQL(currentDate)
-      });
-    });
-
+    await query(
+      'UPDATE quiz_questions SET type = ?, question = ?, options = ?, answer = ?, explanation = ? WHERE id = ?',
+      [merged.type, merged.question, JSON.stringify(merged.options), merged.answer, merged.explanation, existing.id]
+    );
+    await query('UPDATE quizzes SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [quiz.id]);
+    res.status(200).json(await getQuiz(quiz.id, req.user.googleId));
   } catch (error) {
-    console.error('Error processing request:', error);
-    res.status(500).send('Error processing request.');
+    console.error('Error updating question:', error);
+    res.status(500).json({ error: 'Error updating question' });
   }
 });
-//completed
-app.get('/audiofiles', authenticateJWT, async (req, res) => {
-  try {
-   
-    const sql = "SELECT id, title, date FROM Audio WHERE googleId = ?";
-    const values = [req.user.googleId];
 
+app.delete('/quizzes/:id/questions/:questionId', teacherOnly, async (req, res) => {
+  try {
+    const quiz = await getQuiz(req.params.id, req.user.googleId);
+    if (!quiz) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
 
-    connection.query(sql, values, (err, results) => {
-      if (err) {
-        console.error('Error fetching Audio list:', err);
-        return res.status(500).json({ error: 'Error fetching Audio list' });
-      }
-     
-      res.status(200).json(results);
-    });
+    const results = await query('DELETE FROM quiz_questions WHERE id = ? AND quiz_id = ?', [req.params.questionId, quiz.id]);
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    await query('UPDATE quizzes SET question_count = question_count - 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [quiz.id]);
+    res.status(200).json({ message: 'Question deleted successfully' });
   } catch (error) {
-    console.error('Error fetching Audio list:', error);
-    res.status(500).json({ error: 'Error fetching Audio list' });
+    console.error('Error deleting question:', error);
+    res.status(500).json({ error: 'Error deleting question' });
   }
 });
 
-//completed
-app.post('/audioask/:id', authenticateJWT, async (req, res) => {
+// Regenerate every question from the same sources, optionally with new settings
+app.post('/quizzes/:id/regenerate', teacherOnly, meterAI, async (req, res) => {
   try {
-    const { question } = req.body;
-    const id = req.params.id;
-
-    if (!question) {
-      return res.status(400).send('Question is required.');
+    const quiz = await getQuiz(req.params.id, req.user.googleId);
+    if (!quiz) {
+      return res.status(404).json({ error: 'Quiz not found' });
     }
 
-    // Generate embedding for the question
-    const questionEmbedding = await generateEmbedding(question);
-
-    // Retrieve stored transcription and embedding from the database and verify googleId
-    const sql = "SELECT transcription, embedding FROM Audio WHERE id = ? AND googleId = ?";
-    const values = [id, req.user.googleId];
-    connection.query(sql, values, async (err, results) => {
-      if (err) {
-        console.error('Error querying database:', err);
-        return res.status(500).json({ error: 'Error querying database' });
-      }
-
-      if (results.length === 0) {
-        return res.status(404).json({ error: 'No data found for the provided ID and googleId' });
-      }
+    const settings = parseQuizSettings(req.body, {
+      questionCount: quiz.question_count,
+      questionTypes: quiz.question_types,
+      difficulty: quiz.difficulty
+    });
+    if (settings.error) {
+      return res.status(400).json({ error: settings.error });
+    }
 
-      try {
-        const transcription = results[0].transcription;
-        const rawEmbedding = results[0].embedding;
-
-     
-
-        let embedding;
-        if (typeof rawEmbedding === 'string') {
-          // Attempt to parse if it's a JSON string
-          try {
-            embedding = JSON.parse(rawEmbedding);
-          } catch (parseError) {
-            console.error('Invalid JSON format in embedding field:', parseError);
-            return res.status(500).json({ error: 'Invalid JSON format in embedding field' });
-          }
-        } else if (typeof rawEmbedding === 'object') {
-          // Directly use if it's already an object/array
-          embedding = rawEmbedding;
-        } else {
-          // Handle unexpected type
-          console.error('Unexpected type for embedding:', typeof rawEmbedding);
-          return res.status(500).json({ error: 'Unexpected type for embedding' });
-        }
+    const sources = await loadQuizSources(req.user.googleId, quiz.note_ids, quiz.paper_ids);
+    if (!sources) {
+      return res.status(409).json({ error: 'Some of the notes or papers behind this quiz are no longer available' });
+    }
+    if (sources.pending) {
+      return res.status(409).json(CHUNKS_PENDING);
+    }
 
-        // Validate the embedding format
-        if (!Array.isArray(embedding) || embedding.some(isNaN)) {
-          console.error('Invalid embedding format:', embedding);
-          return res.status(500).json({ error: 'Invalid embedding format' });
-        }
+    const generated = await generateQuizQuestions(sources, settings);
+    await saveQuizQuestions(quiz.id, generated.questions);
+    await query(
+      'UPDATE quizzes SET question_count = ?, question_types = ?, difficulty = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [generated.questions.length, JSON.stringify(settings.questionTypes), settings.difficulty, quiz.id]
+    );
 
-        // Calculate similarity between question embedding and audio embedding
-        const similarity = cosineSimilarity(questionEmbedding, embedding);
-
-        // Use OpenAI to generate a response based on the retrieved transcription and the question
-        const response = await openai.chat.completions.create({
-          model: "gpt-4o",
-          messages: [
-            { role: "system", content: "You are a helpful assistant." },
-            { role: "user", content: `Answer the question based on the following context:\n\n${transcription}\n\nQuestion: ${question}` }
-          ],
-          max_tokens: 200
-        });
+    res.status(200).json(await getQuiz(quiz.id, req.user.googleId));
+  } catch (error) {
+    console.error('Error regenerating quiz:', error);
+    res.status(500).json({ error: 'Error regenerating quiz' });
+  }
+});
 
-        const answer = response.choices[0].message.content.trim();
-        res.status(200).json({ answer: answer, similarity: similarity });
-      } catch (error) {
-        console.error('Error generating response:', error);
-        res.status(500).json({ error: 'Error generating response' });
-      }
-    });
+app.delete('/quizzes/:id', teacherOnly, async (req, res) => {
+  try {
+    const results = await query('DELETE FROM quizzes WHERE id = ? AND googleId = ?', [req.params.id, req.user.googleId]);
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    await query('DELETE FROM quiz_questions WHERE quiz_id = ?', [req.params.id]);
+    res.status(200).json({ message: 'Quiz deleted successfully' });
   } catch (error) {
-    console.error('Error processing request:', error);
-    res.status(500).json({ error: 'Error processing request' });
+    console.error('Error deleting quiz:', error);
+    res.status(500).json({ error: 'Error deleting quiz' });
   }
 });
 
-// completed
-app.get('/audiofile/:id', authenticateJWT, async (req, res) => {
-  const { id } = req.params;
 
-  try {
-      // Query to retrieve title, date, and other information from the Audio table based on id and googleId
-      const sql = "SELECT * FROM Audio WHERE id = ? AND googleId = ?";
-      
-      // Execute query with id and googleId as parameters
-      const results = await query(sql, [id, req.user.googleId]);
+// Lesson decks: a PPTX built from a note or lecture, stored so it can be downloaded again
+app.post('/decks', teacherOnly, meterAI, async (req, res) => {
+  const { resourceType, resourceId } = req.body;
 
-      // Check if results are empty
-      if (results.length === 0) {
-          return res.status(404).json({ error: 'Audio not found' });
-      }
+  if (!['note', 'audio'].includes(resourceType) || !resourceId) {
+    return res.status(400).json({ error: 'Provide resourceType ("note" or "audio") and resourceId' });
+  }
+  const options = parseDeckOptions(req.body);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+
+  let fileKey = null;
+  try {
+    const { table, textField } = RESOURCE_TYPES[resourceType];
+    const results = await query(`SELECT id, googleId, title, status, ${textField} AS text FROM ${table} WHERE id = ? AND deleted_at IS NULL`, [resourceId]);
+    if (results.length === 0 || !(await policies.resource(req.user, 'read', { resourceType, row: results[0] }))) {
+      return res.status(404).json({ error: `${resourceType === 'note' ? 'Note' : 'Audio'} not found` });
+    }
+    const resource = results[0];
+    if (resource.status !== 'ready') {
+      return res.status(409).json({ error: `${resourceType === 'note' ? 'Note' : 'Audio'} is not ready (status: ${resource.status})` });
+    }
 
-      // Return title, date, and other information
-      const audioFile = results[0];
-      res.status(200).json({ audioFile });
+    const chunks = await loadChunks(resourceType, resource.id, resource.googleId, resource.text);
+    if (!chunks) {
+      return res.status(409).json(CHUNKS_PENDING);
+    }
+    const outline = await generateDeckOutline({ title: resource.title, chunks }, options);
+    const buffer = await renderDeck(outline);
+
+    const title = options.title || outline.title;
+    // The file name keeps the start of the title, well within file system name limits
+    fileKey = storageKey('decks', `${title.slice(0, 100)}.pptx`);
+    await fileStorage.put(fileKey, buffer, CONTENT_TYPES['.pptx']);
+
+    const result = await query(
+      'INSERT INTO decks (googleId, resource_type, resource_id, title, slide_count, audience_level, outline, file_key) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [req.user.googleId, resourceType, resource.id, title, outline.slides.length + 2, options.audienceLevel, JSON.stringify(outline), fileKey]
+    );
+    // From here the stored file belongs to the saved deck
+    fileKey = null;
+
+    res.status(201).json(await getDeck(result.insertId, req.user.googleId));
   } catch (error) {
-      console.error('Error fetching Audio:', error);
-      res.status(500).json({ error: 'Error fetching Audiofiles' });
+    // A file stored for a deck that was never saved is removed
+    await removeStoredFile(fileKey);
+    console.error('Error generating deck:', error);
+    res.status(500).json({ error: 'Error generating deck' });
   }
 });
 
-app.delete('/audiofile/:id', authenticateJWT, async (req, res) => {
-  const { id } = req.params;
+app.get('/decks', teacherOnly, async (req, res) => {
+  try {
+    const sql = 'SELECT id, resource_type, resource_id, title, slide_count, audience_level, created_at FROM decks WHERE googleId = ? ORDER BY created_at DESC';
+    const results = await query(sql, [req.user.googleId]);
+    res.status(200).json(results);
+  } catch (error) {
+    console.error('Error fetching decks:', error);
+    res.status(500).json({ error: 'Error fetching decks' });
+  }
+});
 
+app.get('/decks/:id', teacherOnly, async (req, res) => {
   try {
-      // Query to delete the audio file based on id and googleId
-      const sql = "DELETE FROM Audio WHERE id = ? AND googleId = ?";
-      
-      // Execute query with id and googleId as parameters
-      const results = await query(sql, [id, req.user.googleId]);
+    const deck = await getDeck(req.params.id, req.user.googleId);
+    if (!deck) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+    res.status(200).json(deck);
+  } catch (error) {
+    console.error('Error fetching deck:', error);
+    res.status(500).json({ error: 'Error fetching deck' });
+  }
+});
 
-      // Check if any rows were affected (i.e., a row was actually deleted)
-      if (results.affectedRows === 0) {
-          return res.status(404).json({ error: 'Audio not found' });
-      }
+// Download the PPTX: a presigned URL, or the file itself with ?mode=proxy or on local storage
+app.get('/decks/:id/download', teacherOnly, async (req, res) => {
+  try {
+    const deck = await getDeck(req.params.id, req.user.googleId);
+    if (!deck) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+    await sendStoredFile(req, res, deck.file_key, { filename: `${deck.title}.pptx`, disposition: 'attachment' });
+  } catch (error) {
+    console.error('Error downloading deck:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Error downloading deck' });
+    }
+  }
+});
 
-      // Return success message
-      res.status(200).json({ message: 'Audio deleted successfully' });
+app.delete('/decks/:id', teacherOnly, async (req, res) => {
+  try {
+    const deck = await getDeck(req.params.id, req.user.googleId);
+    if (!deck) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+    await query('DELETE FROM decks WHERE id = ?', [deck.id]);
+    await removeStoredFile(deck.file_key);
+    res.status(200).json({ message: 'Deck deleted successfully' });
   } catch (error) {
-      console.error('Error deleting audio:', error);
-      res.status(500).json({ error: 'Error deleting audio' });
+    console.error('Error deleting deck:', error);
+    res.status(500).json({ error: 'Error deleting deck' });
   }
 });
 
 
-//notesAi completed
-app.post('/upload-notes', authenticateJWT, upload.single('file'), async (req, res) => {
-  console.log('Request body:', req.body);
-  console.log('Request file:', req.file);
+// Printable exam papers. Questions come from a saved quiz or are entered as sections; each version
+// gets its own PDF (shuffled after the first when shuffle is set) and optionally an answer key.
+app.post('/exam-papers', teacherOnly, async (req, res) => {
+  const header = req.body.header || {};
+  const versions = req.body.versions !== undefined ? Number(req.body.versions) : 1;
+  const answerKey = req.body.answerKey !== false;
 
-  if (!req.file) {
-    return res.status(400).send('No file uploaded.');
+  if (!header.exam) {
+    return res.status(400).json({ error: 'header.exam is required' });
+  }
+  if (!Number.isInteger(versions) || versions < 1 || versions > EXAM_MAX_VERSIONS) {
+    return res.status(400).json({ error: `versions must be a whole number from 1 to ${EXAM_MAX_VERSIONS}` });
+  }
+  if (versions > 1 && !req.body.shuffle) {
+    return res.status(400).json({ error: 'Several versions need shuffle: true' });
   }
 
+  const stored = [];
   try {
-    const file = req.file;
-    const { title, category, exam, paper, subject, topics } = req.body;
+    let sections;
+    if (req.body.quizId) {
+      const quiz = await getQuiz(req.body.quizId, req.user.googleId);
+      if (!quiz) {
+        return res.status(404).json({ error: 'Quiz not found' });
+      }
+      const marksPerQuestion = parseMarksPerQuestion(req.body.marksPerQuestion);
+      if (!marksPerQuestion) {
+        return res.status(400).json({ error: 'marksPerQuestion must be a number greater than 0' });
+      }
+      sections = sectionsFromQuiz(quiz, marksPerQuestion);
+    } else {
+      const parsed = parseExamSections(req.body.sections);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      sections = parsed.sections;
+    }
 
-    if (!title || !category || !exam || !paper || !subject || !topics) {
-      return res.status(400).send('All fields (title, category, exam, paper, subject, topics) are required.');
+    const totalMarks = sections.reduce((total, section) => total + section.questions.reduce((sum, question) => sum + question.marks, 0), 0);
+    if (header.totalMarks !== undefined && Number(header.totalMarks) !== totalMarks) {
+      return res.status(400).json({ error: `header.totalMarks (${header.totalMarks}) does not match the marks of the questions (${totalMarks})` });
     }
 
-    // Define the S3 key and upload the file to S3
-    const fileKey = `notes/${Date.now()}_${file.originalname}`;
-    const uploadParams = {
-      Bucket: process.env.AWS_BUCKET_NAME,
-      Key: fileKey,
-      Body: file.buffer,
-      ContentType: file.mimetype,
+    const cleanHeader = {
+      exam: String(header.exam),
+      paper: header.paper ? String(header.paper) : null,
+      subject: header.subject ? String(header.subject) : null,
+      duration: header.duration ? String(header.duration) : null,
+      instructions: header.instructions ? String(header.instructions) : null
     };
+    // Every PDF is rendered and stored before the paper is saved. Version letters only appear on
+    // the papers when there is more than one version.
+    for (let i = 0; i < versions; i++) {
+      const version = versions > 1 ? String.fromCharCode(65 + i) : null;
+      const versionSections = req.body.shuffle && i > 0 ? shuffleExamVersion(sections) : sections;
+      const files = [['paper', await renderExamPdf(cleanHeader, versionSections, totalMarks, version)]];
+      if (answerKey) {
+        files.push(['answer_key', await renderAnswerKeyPdf(cleanHeader, versionSections, totalMarks, version)]);
+      }
+      for (const [kind, buffer] of files) {
+        const fileKey = storageKey('exam-papers', `${cleanHeader.exam.slice(0, 100)}_${version || 'paper'}_${kind}.pdf`);
+        await fileStorage.put(fileKey, buffer, 'application/pdf');
+        stored.push({ version: version || 'A', kind, fileKey });
+      }
+    }
 
-    // Upload to S3
-    await s3.send(new PutObjectCommand(uploadParams));
+    const examPaperId = await transaction(async (run) => {
+      const result = await run(
+        'INSERT INTO exam_papers (googleId, title, header, sections, total_marks, version_count, shuffled) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [req.user.googleId, cleanHeader.exam.slice(0, 255), JSON.stringify(cleanHeader), JSON.stringify(sections), totalMarks, versions, req.body.shuffle ? 1 : 0]
+      );
+      await run(
+        'INSERT INTO exam_paper_files (exam_paper_id, version, kind, file_key) VALUES ?',
+        [stored.map(file => [result.insertId, file.version, file.kind, file.fileKey])]
+      );
+      return result.insertId;
+    });
+    // From here the stored files belong to the saved paper
+    stored.length = 0;
 
-    // Download the file from S3
-    const getObjectParams = {
-      Bucket: process.env.AWS_BUCKET_NAME,
-      Key: fileKey,
-    };
-    const command = new GetObjectCommand(getObjectParams);
-    const { Body } = await s3.send(command);
+    res.status(201).json(await getExamPaper(examPaperId, req.user.googleId));
+  } catch (error) {
+    // Files stored for a paper that was never saved are removed
+    for (const file of stored) {
+      await removeStoredFile(file.fileKey);
+    }
+    console.error('Error creating exam paper:', error);
+    res.status(500).json({ error: 'Error creating exam paper' });
+  }
+});
 
-    // Convert stream to buffer
-    const chunks = [];
-    for await (const chunk of Body) {
-      chunks.push(chunk);
+app.get('/exam-papers', teacherOnly, async (req, res) => {
+  try {
+    const sql = 'SELECT id, title, total_marks, version_count, shuffled, created_at FROM exam_papers WHERE googleId = ? ORDER BY created_at DESC';
+    const results = await query(sql, [req.user.googleId]);
+    res.status(200).json(results);
+  } catch (error) {
+    console.error('Error fetching exam papers:', error);
+    res.status(500).json({ error: 'Error fetching exam papers' });
+  }
+});
+
+app.get('/exam-papers/:id', teacherOnly, async (req, res) => {
+  try {
+    const examPaper = await getExamPaper(req.params.id, req.user.googleId);
+    if (!examPaper) {
+      return res.status(404).json({ error: 'Exam paper not found' });
     }
-    const fileBuffer = Buffer.concat(chunks);
+    res.status(200).json(examPaper);
+  } catch (error) {
+    console.error('Error fetching exam paper:', error);
+    res.status(500).json({ error: 'Error fetching exam paper' });
+  }
+});
 
-    // Extract text from the file based on its MIME type
-    let fileText;
-    if (file.mimetype === 'application/pdf') {
-      fileText = await extractTextFromPDF(fileBuffer);
-    } else if (file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-      fileText = await extractTextFromDOC(fileBuffer);
+// Download one PDF of an exam paper: a presigned URL, or the file itself with ?mode=proxy or on local storage
+app.get('/exam-papers/:id/files/:fileId', teacherOnly, async (req, res) => {
+  try {
+    const examPaper = await getExamPaper(req.params.id, req.user.googleId);
+    const file = examPaper && examPaper.files.find(entry => entry.id === Number(req.params.fileId));
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
     }
-     else {
-      return res.status(400).send('Unsupported file type.');
+    const filename = `${examPaper.title}${examPaper.version_count > 1 ? ` - Version ${file.version}` : ''}${file.kind === 'answer_key' ? ' - Answer key' : ''}.pdf`;
+    await sendStoredFile(req, res, file.file_key, { filename, disposition: 'attachment' });
+  } catch (error) {
+    console.error('Error downloading exam paper:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Error downloading exam paper' });
     }
+  }
+});
 
-    if (!fileText) {
-      return res.status(500).send('Error extracting text from file.');
+app.delete('/exam-papers/:id', teacherOnly, async (req, res) => {
+  try {
+    const examPaper = await getExamPaper(req.params.id, req.user.googleId);
+    if (!examPaper) {
+      return res.status(404).json({ error: 'Exam paper not found' });
     }
-
-    // Generate embedding from the extracted text
-    const embedding = await generateEmbedding(fileText);
-    if (!embedding) {
-      return res.status(500).send('Error generating embedding.');
+    await query('DELETE FROM exam_papers WHERE id = ?', [examPaper.id]);
+    await query('DELETE FROM exam_paper_files WHERE exam_paper_id = ?', [examPaper.id]);
+    for (const file of examPaper.files) {
+      await removeStoredFile(file.file_key);
     }
+    res.status(200).json({ message: 'Exam paper deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting exam paper:', error);
+    res.status(500).json({ error: 'Error deleting exam paper' });
+  }
+});
 
-    // Prepare SQL statement for insertion
-    const sql = 'INSERT INTO notes (title, category, exam, paper, subject, topics, text, vector, googleId) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)';
-    const values = [title, category, exam, paper, subject, topics, fileText.trim(), JSON.stringify(embedding), req.user.googleId];
 
-    // Insert the extracted text and embedding into the database
-    connection.query(sql, values, (err) => {
-      if (err) {
-        console.error('Error storing file embedding:', err);
-        return res.status(500).send('Error storing file embedding.');
-      }
-      res.status(200).send('File uploaded and processed successfully.');
-    });
+// Grading of student answer sheets: the AI produces a draft that the teacher can override and finalise.
+// Assistants with grade access to one of the student's classes can create and adjust drafts too.
+app.post('/students/:id/gradings', staffOnly, authorize('student', 'grade', loadStudent, 'Student'), upload.single('file'), meterAI, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No answer sheet uploaded' });
+  }
+  if (!detectDocumentType(req.file.buffer, req.file.originalname)) {
+    return res.status(400).json({ error: `Unsupported file type. Upload ${SUPPORTED_DOCUMENTS}.` });
+  }
 
-  } catch (error) {
-    console.error('Error uploading file:', error);
-    res.status(500).send('Error uploading file.');
+  const { quizId, paperId } = req.body;
+  if (!req.body.rubric && !quizId && !paperId) {
+    return res.status(400).json({ error: 'Provide a rubric, quizId or paperId to grade against' });
   }
-});
 
-app.post('/noteask/:id', authenticateJWT, async (req, res) => {
+  let fileKey = null;
   try {
-    const { question } = req.body;
-    const id = req.params.id;
+    // Gradings, quizzes and papers all belong to the student's teacher
+    const teacherId = req.subject.googleId;
+
+    // Work out what the answer sheet is graded against
+    let rubric = null;
+    let paperText = null;
+    let sourceType;
+    let sourceId = null;
+    if (req.body.rubric) {
+      try {
+        rubric = parseRubric(typeof req.body.rubric === 'string' ? JSON.parse(req.body.rubric) : req.body.rubric);
+      } catch (parseError) {
+        rubric = null;
+      }
+      if (!rubric) {
+        return res.status(400).json({ error: 'rubric must be a list of { question, maxScore, guidance }' });
+      }
+      sourceType = 'rubric';
+    } else if (quizId) {
+      const quiz = await getQuiz(quizId, teacherId);
+      if (!quiz) {
+        return res.status(404).json({ error: 'Quiz not found' });
+      }
+      if (quiz.questions.length === 0) {
+        return res.status(400).json({ error: 'The quiz has no questions to grade against' });
+      }
+      const marksPerQuestion = parseMarksPerQuestion(req.body.marksPerQuestion);
+      if (!marksPerQuestion) {
+        return res.status(400).json({ error: 'marksPerQuestion must be a number greater than 0' });
+      }
+      rubric = rubricFromQuiz(quiz, marksPerQuestion);
+      sourceType = 'quiz';
+      sourceId = quiz.id;
+    } else {
+      const papers = await query("SELECT id, text FROM previouspapers WHERE id = ? AND googleId = ? AND status = 'ready' AND deleted_at IS NULL", [paperId, teacherId]);
+      if (papers.length === 0) {
+        return res.status(404).json({ error: 'Paper not found' });
+      }
+      paperText = papers[0].text;
+      sourceType = 'paper';
+      sourceId = papers[0].id;
+    }
 
-    if (!question) {
-      return res.status(400).send('Question is required.');
+    const answerText = await extractDocumentText(req.file.buffer, req.file.originalname);
+    if (!answerText || !answerText.trim()) {
+      return res.status(400).json({ error: 'No text could be extracted from the answer sheet' });
     }
 
-    // Generate embedding for the question
-    const questionEmbedding = await generateEmbedding(question);
+    const graded = await gradeAnswerSheet(answerText.trim(), rubric, paperText);
 
-    // Retrieve stored note text and embedding from the database and verify googleId
-    const sql = "SELECT text, vector FROM notes WHERE id = ? AND googleId = ?";
-    const values = [id, req.user.googleId];
-    connection.query(sql, values, async (err, results) => {
-      if (err) {
-        console.error('Error querying database:', err);
-        return res.status(500).json({ error: 'Error querying database' });
-      }
+    // Keep the original answer sheet alongside the grading, once there is a grading to keep
+    fileKey = storageKey('answersheets', req.file.originalname);
+    await fileStorage.put(fileKey, req.file.buffer, req.file.mimetype);
 
-      if (results.length === 0) {
-        return res.status(404).json({ error: 'No data found for the provided ID and googleId' });
-      }
+    const maxScore = graded.items.reduce((total, item) => total + item.maxScore, 0);
+    const totalScore = graded.items.reduce((total, item) => total + item.score, 0);
 
-      try {
-        const text = results[0].text;
-        const rawEmbedding = results[0].vector;
-
-        let embedding;
-        if (typeof rawEmbedding === 'string') {
-          // Attempt to parse if it's a JSON string
-          try {
-            embedding = JSON.parse(rawEmbedding);
-          } catch (parseError) {
-            console.error('Invalid JSON format in embedding field:', parseError);
-            return res.status(500).json({ error: 'Invalid JSON format in embedding field' });
-          }
-        } else if (typeof rawEmbedding === 'object') {
-          // Directly use if it's already an object/array
-          embedding = rawEmbedding;
-        } else {
-          // Handle unexpected type
-          console.error('Unexpected type for embedding:', typeof rawEmbedding);
-          return res.status(500).json({ error: 'Unexpected type for embedding' });
-        }
+    const result = await query(
+      "INSERT INTO gradings (googleId, student_id, graded_by, source_type, source_id, rubric, answer_text, file_key, status, total_score, max_score, overall_feedback) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'draft', ?, ?, ?)",
+      [teacherId, req.params.id, req.user.googleId, sourceType, sourceId, JSON.stringify(rubric), answerText.trim(), fileKey, totalScore, maxScore, graded.overallFeedback]
+    );
+    // From here the stored answer sheet belongs to the saved grading
+    fileKey = null;
+    const rows = graded.items.map((item, i) => [result.insertId, i + 1, item.question, item.maxScore, item.score, item.feedback]);
+    await query('INSERT INTO grading_items (grading_id, position, question, max_score, ai_score, ai_feedback) VALUES ?', [rows]);
 
-        // Validate the embedding format
-        if (!Array.isArray(embedding) || embedding.some(isNaN)) {
-          console.error('Invalid embedding format:', embedding);
-          return res.status(500).json({ error: 'Invalid embedding format' });
-        }
+    res.status(201).json(await getGrading(result.insertId));
+  } catch (error) {
+    console.error('Error grading answer sheet:', error);
+    // An answer sheet stored for a grading that was never saved is removed again
+    await removeStoredFile(fileKey);
+    res.status(500).json({ error: 'Error grading answer sheet' });
+  }
+});
 
-        // Calculate similarity between question embedding and note embedding
-        const similarity = cosineSimilarity(questionEmbedding, embedding);
-
-        // Use OpenAI to generate a response based on the retrieved note text and the question
-        const response = await openai.chat.completions.create({
-          model: "gpt-4o",
-          messages: [
-            { role: "system", content: "You are a helpful assistant." },
-            { role: "user", content: `Answer the question based on the following context:\n\n${text}\n\nQuestion: ${question}` }
-          ],
-          max_tokens: 200
-        });
+app.get('/students/:id/gradings', staffOnly, authorize('student', 'read', loadStudent, 'Student'), async (req, res) => {
+  try {
+    const sql = 'SELECT id, source_type, source_id, status, total_score, max_score, finalized_at, created_at FROM gradings WHERE student_id = ? AND googleId = ? ORDER BY created_at DESC';
+    const results = await query(sql, [req.params.id, req.subject.googleId]);
+    res.status(200).json(results);
+  } catch (error) {
+    console.error('Error fetching gradings:', error);
+    res.status(500).json({ error: 'Error fetching gradings' });
+  }
+});
 
-        const answer = response.choices[0].message.content.trim();
-        res.status(200).json({ answer: answer, similarity: similarity });
-      } catch (error) {
-        console.error('Error generating response:', error);
-        res.status(500).json({ error: 'Error generating response' });
-      }
-    });
+app.get('/gradings/:id', staffOnly, authorize('grading', 'read', loadGrading, 'Grading'), async (req, res) => {
+  try {
+    res.status(200).json(await getGrading(req.subject.id));
   } catch (error) {
-    console.error('Error processing request:', error);
-    res.status(500).json({ error: 'Error processing request' });
+    console.error('Error fetching grading:', error);
+    res.status(500).json({ error: 'Error fetching grading' });
   }
 });
 
-app.delete('/notes/:id', authenticateJWT, (req, res) => {
-  const id = req.params.id;
-  const googleId = req.user.googleId; // Assuming googleId is retrieved from JWT
+// Teacher override of one question's score and/or feedback on a draft
+app.patch('/gradings/:id/items/:itemId', staffOnly, authorize('grading', 'grade', loadGrading, 'Grading'), async (req, res) => {
+  const { score, feedback } = req.body;
 
-  // Validate the ID
-  if (!id) {
-    return res.status(400).send('ID is required.');
+  if (score === undefined && feedback === undefined) {
+    return res.status(400).json({ error: 'Provide a score or feedback' });
   }
 
-  // SQL query to delete the record
-  const sql = "DELETE FROM notes WHERE id = ? AND googleId = ?";
-  const values = [id, googleId];
-
-  connection.query(sql, values, (err, results) => {
-    if (err) {
-      console.error('Error deleting record:', err);
-      return res.status(500).json({ error: 'Error deleting record' });
+  try {
+    const grading = await getGrading(req.subject.id);
+    if (grading.status !== 'draft') {
+      return res.status(409).json({ error: 'Grading is already final' });
     }
 
-    if (results.affectedRows === 0) {
-      return res.status(404).json({ error: 'No record found with the provided ID and googleId' });
+    const item = grading.items.find(entry => entry.id === Number(req.params.itemId));
+    if (!item) {
+      return res.status(404).json({ error: 'Grading item not found' });
+    }
+    if (score !== undefined && (isNaN(score) || Number(score) < 0 || Number(score) > Number(item.max_score))) {
+      return res.status(400).json({ error: `Score must be between 0 and ${item.max_score}` });
     }
 
-    res.status(200).json({ message: 'Record deleted successfully' });
-  });
-});
+    await query(
+      'UPDATE grading_items SET teacher_score = ?, teacher_feedback = ? WHERE id = ?',
+      [score !== undefined ? Number(score) : item.teacher_score, feedback !== undefined ? feedback : item.teacher_feedback, item.id]
+    );
 
-app.get('/notes/:id', authenticateJWT, (req, res) => {
-  const id = req.params.id;
-  const googleId = req.user.googleId; // Assuming googleId is retrieved from JWT
+    // Keep the draft total in step with the overrides
+    const updated = await getGrading(grading.id);
+    const totalScore = updated.items.reduce((total, entry) => total + Number(entry.score), 0);
+    await query('UPDATE gradings SET total_score = ? WHERE id = ?', [totalScore, grading.id]);
 
-  // Validate the ID
-  if (!id) {
-    return res.status(400).send('ID is required.');
+    res.status(200).json(await getGrading(grading.id));
+  } catch (error) {
+    console.error('Error updating grading item:', error);
+    res.status(500).json({ error: 'Error updating grading item' });
   }
+});
 
-  // SQL query to get the record
-  const sql = "SELECT * FROM notes WHERE id = ? AND googleId = ?";
-  const values = [id, googleId];
-
-  connection.query(sql, values, (err, results) => {
-    if (err) {
-      console.error('Error querying database:', err);
-      return res.status(500).json({ error: 'Error querying database' });
+// Store the final grade for the student; the draft can no longer be changed afterwards
+app.post('/gradings/:id/finalize', teacherOnly, authorize('grading', 'manage', loadGrading, 'Grading'), async (req, res) => {
+  try {
+    const grading = await getGrading(req.subject.id);
+    if (grading.status !== 'draft') {
+      return res.status(409).json({ error: 'Grading is already final' });
     }
 
-    if (results.length === 0) {
-      return res.status(404).json({ error: 'No record found with the provided ID and googleId' });
-    }
+    const totalScore = grading.items.reduce((total, item) => total + Number(item.score), 0);
+    const overallFeedback = req.body.overallFeedback !== undefined ? req.body.overallFeedback : grading.overall_feedback;
+    await query(
+      "UPDATE gradings SET status = 'final', total_score = ?, overall_feedback = ?, finalized_at = NOW() WHERE id = ?",
+      [totalScore, overallFeedback, grading.id]
+    );
 
-    res.status(200).json(results[0]);
-  });
+    res.status(200).json(await getGrading(grading.id));
+  } catch (error) {
+    console.error('Error finalising grading:', error);
+    res.status(500).json({ error: 'Error finalising grading' });
+  }
 });
 
-app.get('/notes', authenticateJWT, (req, res) => {
-  const googleId = req.user.googleId; // Assuming googleId is retrieved from JWT
+app.delete('/gradings/:id', teacherOnly, authorize('grading', 'manage', loadGrading, 'Grading'), async (req, res) => {
+  try {
+    await query('DELETE FROM gradings WHERE id = ? AND googleId = ?', [req.params.id, req.user.googleId]);
+    await query('DELETE FROM grading_items WHERE grading_id = ?', [req.params.id]);
+    await removeStoredFile(req.subject.file_key);
+    res.status(200).json({ message: 'Grading deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting grading:', error);
+    res.status(500).json({ error: 'Error deleting grading' });
+  }
+});
 
-  // SQL query to get all notes for the authenticated user
-  const sql = "SELECT * FROM notes WHERE googleId = ?";
-  const values = [googleId];
 
-  connection.query(sql, values, (err, results) => {
-    if (err) {
-      console.error('Error querying database:', err);
-      return res.status(500).json({ error: 'Error querying database' });
-    }
+// Classes (sections) group students and the teaching material shared with them
+app.post('/classes', teacherOnly, async (req, res) => {
+  const { name, description } = req.body;
 
+  if (!name) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+
+  try {
+    const result = await query('INSERT INTO classes (googleId, name, description) VALUES (?, ?, ?)', [req.user.googleId, name, description || null]);
+    res.status(201).json({ message: 'Class created successfully', classId: result.insertId });
+  } catch (error) {
+    console.error('Error creating class:', error);
+    res.status(500).json({ error: 'Error creating class' });
+  }
+});
+
+// Teachers see the classes they own; assistants see the classes they were added to and their access
+app.get('/classes', staffOnly, async (req, res) => {
+  try {
+    const assistant = req.user.role === 'assistant';
+    const live = liveResourceFilter('cr');
+    const sql = `SELECT c.id, c.name, c.description, c.created_at,
+        (SELECT COUNT(*) FROM class_students cs JOIN students s ON s.id = cs.student_id WHERE cs.class_id = c.id AND s.deleted_at IS NULL) AS student_count,
+        (SELECT COUNT(*) FROM class_resources cr ${live.joins} WHERE cr.class_id = c.id AND ${live.condition}) AS resource_count
+        ${assistant ? ', ca.access' : ''}
+      FROM classes c ${assistant ? 'JOIN class_assistants ca ON ca.class_id = c.id WHERE ca.email = ?' : 'WHERE c.googleId = ?'} ORDER BY c.name`;
+    const results = await query(sql, [assistant ? (req.user.email || '').toLowerCase() : req.user.googleId]);
     res.status(200).json(results);
-  });
+  } catch (error) {
+    console.error('Error fetching classes:', error);
+    res.status(500).json({ error: 'Error fetching classes' });
+  }
 });
 
+app.get('/classes/:id', staffOnly, authorize('class', 'read', loadClass, 'Class'), async (req, res) => {
+  try {
+    const classRow = req.subject;
+
+    const students = await query(
+      'SELECT s.id, s.name, s.student_number, s.email FROM class_students cs JOIN students s ON s.id = cs.student_id WHERE cs.class_id = ? AND s.deleted_at IS NULL ORDER BY s.name',
+      [classRow.id]
+    );
+    const assistants = await query('SELECT email, access, created_at FROM class_assistants WHERE class_id = ? ORDER BY email', [classRow.id]);
+    res.status(200).json({ ...classRow, students, assistants, resources: await listClassResources(classRow.id) });
+  } catch (error) {
+    console.error('Error fetching class:', error);
+    res.status(500).json({ error: 'Error fetching class' });
+  }
+});
 
+app.patch('/classes/:id', teacherOnly, authorize('class', 'manage', loadClass, 'Class'), async (req, res) => {
+  const { name, description } = req.body;
 
-//testAi completed
-app.post('/uploadpapers', authenticateJWT, upload.single('file'), async (req, res) => {
-  console.log('Request body:', req.body);
-  console.log('Request file:', req.file);
+  if (name === undefined && description === undefined) {
+    return res.status(400).json({ error: 'Provide a name or description' });
+  }
+  if (name !== undefined && !name) {
+    return res.status(400).json({ error: 'Name cannot be empty' });
+  }
+
+  try {
+    const classRow = req.subject;
+
+    await query(
+      'UPDATE classes SET name = ?, description = ? WHERE id = ?',
+      [name !== undefined ? name : classRow.name, description !== undefined ? description : classRow.description, classRow.id]
+    );
+    res.status(200).json({ message: 'Class updated successfully' });
+  } catch (error) {
+    console.error('Error updating class:', error);
+    res.status(500).json({ error: 'Error updating class' });
+  }
+});
+
+app.delete('/classes/:id', teacherOnly, authorize('class', 'manage', loadClass, 'Class'), async (req, res) => {
+  try {
+    await query('DELETE FROM classes WHERE id = ?', [req.subject.id]);
+    await query('DELETE FROM class_students WHERE class_id = ?', [req.subject.id]);
+    await query('DELETE FROM class_resources WHERE class_id = ?', [req.subject.id]);
+    await query('DELETE FROM class_assistants WHERE class_id = ?', [req.subject.id]);
+    res.status(200).json({ message: 'Class deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting class:', error);
+    res.status(500).json({ error: 'Error deleting class' });
+  }
+});
+
+// Enroll students from the teacher's roster; students already enrolled are left as they are
+app.post('/classes/:id/students', teacherOnly, authorize('class', 'manage', loadClass, 'Class'), async (req, res) => {
+  const studentIds = Array.isArray(req.body.studentIds) ? [...new Set(req.body.studentIds.map(Number))] : [];
 
-  if (!req.file) {
-    return res.status(400).send('No file uploaded.');
+  if (studentIds.length === 0) {
+    return res.status(400).json({ error: 'studentIds is required' });
   }
 
   try {
-    const file = req.file;
-    const fileBuffer = file.buffer;
-    const fileMimeType = file.mimetype;
-
-    let fileText;
+    const classRow = req.subject;
 
-    // Extract text based on file type
-    if (fileMimeType === 'application/pdf') {
-      fileText = await extractTextFromPDF(fileBuffer);
-    } else if (fileMimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-      fileText = await extractTextFromDOC(fileBuffer);
-    } else {
-      return res.status(400).send('Unsupported file type.');
+    const students = await query('SELECT id FROM students WHERE id IN (?) AND googleId = ? AND deleted_at IS NULL', [studentIds, req.user.googleId]);
+    if (students.length !== studentIds.length) {
+      return res.status(404).json({ error: 'One or more students were not found' });
     }
 
-    if (!fileText) {
-      return res.status(500).send('Error extracting text from file.');
-    }
+    await query('INSERT IGNORE INTO class_students (class_id, student_id) VALUES ?', [studentIds.map(studentId => [classRow.id, studentId])]);
+    res.status(200).json({ message: 'Students enrolled successfully' });
+  } catch (error) {
+    console.error('Error enrolling students:', error);
+    res.status(500).json({ error: 'Error enrolling students' });
+  }
+});
 
-    // Generate a title based on the extracted text
-    const generatedTitle = await generateTitle(fileText);
+app.delete('/classes/:id/students/:studentId', teacherOnly, authorize('class', 'manage', loadClass, 'Class'), async (req, res) => {
+  try {
+    const classRow = req.subject;
 
-    // Generate embedding from the extracted text
-    const embedding = await generateEmbedding(fileText);
+    const results = await query('DELETE FROM class_students WHERE class_id = ? AND student_id = ?', [classRow.id, req.params.studentId]);
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Student is not enrolled in this class' });
+    }
+    res.status(200).json({ message: 'Student removed from class successfully' });
+  } catch (error) {
+    console.error('Error removing student from class:', error);
+    res.status(500).json({ error: 'Error removing student from class' });
+  }
+});
 
-    // Get the current date
-    const currentDate = formatDateToMySQL(new Date());
+// Share the teacher's notes, audio lectures or previous papers with a class
+app.post('/classes/:id/resources', teacherOnly, authorize('class', 'manage', loadClass, 'Class'), async (req, res) => {
+  const resources = Array.isArray(req.body.resources) ? req.body.resources : [];
 
-    // Prepare SQL statement for insertion into 'previouspapers' table using parameterized query
-    const sql = "INSERT INTO previouspapers (title, text, vector, date, googleId) VALUES (?, ?, ?, ?, ?)";
-    const values = [generatedTitle, fileText.trim(), JSON.stringify(embedding), currentDate, req.user.googleId];
+  if (resources.length === 0) {
+    return res.status(400).json({ error: 'resources is required, e.g. [{ "resourceType": "note", "resourceId": 1 }]' });
+  }
+  if (resources.some(resource => !resource || !RESOURCE_TYPES[resource.resourceType] || !resource.resourceId)) {
+    return res.status(400).json({ error: `Each resource needs a resourceId and a resourceType of: ${Object.keys(RESOURCE_TYPES).join(', ')}` });
+  }
 
-    // Log values to debug any potential issues
-    console.log('SQL Query:', sql);
-    console.log('Values:', values);
+  try {
+    const classRow = req.subject;
 
-    // Insert the extracted text and embedding into the 'previouspapers' table
-    connection.query(sql, values, (err) => {
-      if (err) {
-        console.error('Error storing file embedding:', err.message);
-        return res.status(500).json({ error: 'Error storing file embedding' });
-      } else {
-        console.log('File embedding stored successfully');
-        res.status(200).json({ message: 'File uploaded and processed successfully' });
+    for (const resource of resources) {
+      const owned = await query(`SELECT id FROM ${RESOURCE_TYPES[resource.resourceType].table} WHERE id = ? AND googleId = ? AND deleted_at IS NULL`, [resource.resourceId, req.user.googleId]);
+      if (owned.length === 0) {
+        return res.status(404).json({ error: `${resource.resourceType} ${resource.resourceId} not found` });
       }
-    });
+    }
 
+    await query(
+      'INSERT IGNORE INTO class_resources (class_id, resource_type, resource_id) VALUES ?',
+      [resources.map(resource => [classRow.id, resource.resourceType, resource.resourceId])]
+    );
+    res.status(200).json({ message: 'Resources shared successfully' });
   } catch (error) {
-    console.error('Error uploading file:', error);
-    res.status(500).json({ error: 'Error uploading file' });
+    console.error('Error sharing resources:', error);
+    res.status(500).json({ error: 'Error sharing resources' });
   }
 });
-app.post('/askprevious/:id', authenticateJWT, async (req, res) => {
-  const { question } = req.body;
-  const id = req.params.id;
 
-  if (!question || !id) {
-      return res.status(400).json({ error: 'Question and ID are required' });
+app.get('/classes/:id/resources', staffOnly, authorize('class', 'read', loadClass, 'Class'), async (req, res) => {
+  try {
+    const classRow = req.subject;
+    res.status(200).json(await listClassResources(classRow.id));
+  } catch (error) {
+    console.error('Error fetching class resources:', error);
+    res.status(500).json({ error: 'Error fetching class resources' });
   }
+});
 
+app.delete('/classes/:id/resources/:resourceType/:resourceId', teacherOnly, authorize('class', 'manage', loadClass, 'Class'), async (req, res) => {
   try {
-      const questionEmbedding = await generateEmbedding(question);
-
-      // Retrieve specific text and vector from the 'previouspapers' table based on ID and user's googleId
-      const sql = "SELECT text, vector FROM previouspapers WHERE id = ? AND googleId = ?";
-      connection.query(sql, [id, req.user.googleId], async (err, results) => {
-          if (err) {
-              console.error('Error querying database:', err);
-              return res.status(500).json({ error: 'Error querying database' });
-          }
-
-          if (results.length === 0) {
-              return res.status(404).json({ error: 'No data found for the provided ID and googleId' });
-          }
-
-          // Extract text and vector from the result
-          const text = results[0].text;
-          const rawVector = results[0].vector;
-
-          let storedVector;
-          if (typeof rawVector === 'string') {
-              // Attempt to parse if it's a JSON string
-              try {
-                  storedVector = JSON.parse(rawVector);
-              } catch (parseError) {
-                  console.error('Invalid JSON format in vector field:', parseError);
-                  return res.status(500).json({ error: 'Invalid JSON format in vector field' });
-              }
-          } else if (typeof rawVector === 'object') {
-              // Directly use if it's already an object/array
-              storedVector = rawVector;
-          } else {
-              // Handle unexpected type
-              console.error('Unexpected type for vector:', typeof rawVector);
-              return res.status(500).json({ error: 'Unexpected type for vector' });
-          }
-
-          // Validate the vector format
-          if (!Array.isArray(storedVector) || storedVector.some(isNaN)) {
-              console.error('Invalid vector format:', storedVector);
-              return res.status(500).json({ error: 'Invalid vector format' });
-          }
+    const classRow = req.subject;
 
-          // Calculate similarity between question embedding and stored vector
-          const similarity = cosineSimilarity(questionEmbedding, storedVector);
-
-          // Use OpenAI to generate a response based on the retrieved text and the question
-          try {
-              const response = await openai.chat.completions.create({
-                  model: "gpt-4o",
-                  messages: [
-                      { role: "system", content: "Generate a response based on the provided context:" },
-                      { role: "user", content: `Context: ${text}\nQuestion: ${question}` }
-                  ],
-                  max_tokens: 200
-              });
-
-              const answer = response.choices[0].message.content.trim();
-              res.status(200).json({ answer: answer, similarity: similarity });
-          } catch (error) {
-              console.error('Error generating response:', error);
-              res.status(500).json({ error: 'Error generating response' });
-          }
-      });
+    const results = await query(
+      'DELETE FROM class_resources WHERE class_id = ? AND resource_type = ? AND resource_id = ?',
+      [classRow.id, req.params.resourceType, req.params.resourceId]
+    );
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Resource is not shared with this class' });
+    }
+    res.status(200).json({ message: 'Resource unshared successfully' });
   } catch (error) {
-      console.error('Error processing request:', error);
-      res.status(500).json({ error: 'Error processing request' });
+    console.error('Error unsharing resource:', error);
+    res.status(500).json({ error: 'Error unsharing resource' });
   }
 });
 
-app.get('/pqfiles', authenticateJWT, (req, res) => {
-  const sql = "SELECT id, title, date FROM previouspapers WHERE googleId = ?";
-  
-  // Use the authenticated user's googleId to filter results
-  connection.query(sql, [req.user.googleId], (err, results) => {
-      if (err) {
-          console.error('Error querying database:', err);
-          return res.status(500).json({ error: 'Error querying database' });
-      }
-
-      res.status(200).json(results);
-  });
-});
 
-app.get('/pqfile/:id', authenticateJWT, (req, res) => {
-  const id = req.params.id;
+// Add a teaching assistant to a class by email, with read-only or grading access. Assistants who
+// have not signed in yet get the assistant role on their first sign-in.
+app.post('/classes/:id/assistants', teacherOnly, authorize('class', 'manage', loadClass, 'Class'), async (req, res) => {
+  const email = (req.body.email || '').trim().toLowerCase();
+  const access = req.body.access || 'read';
 
-  const sql = "SELECT * FROM previouspapers WHERE id = ? AND googleId = ?";
-  connection.query(sql, [id, req.user.googleId], (err, results) => {
-      if (err) {
-          console.error('Error querying database:', err);
-          return res.status(500).json({ error: 'Error querying database' });
-      }
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ error: 'A valid email is required' });
+  }
+  if (!ASSISTANT_ACCESS.includes(access)) {
+    return res.status(400).json({ error: `access must be one of: ${ASSISTANT_ACCESS.join(', ')}` });
+  }
 
-      if (results.length === 0) {
-          return res.status(404).json({ error: 'No data found for the provided ID' });
-      }
+  try {
+    const users = await query('SELECT role FROM users WHERE LOWER(email) = ?', [email]);
+    if (users.length > 0 && users[0].role !== 'assistant') {
+      return res.status(409).json({ error: 'That account is not a teaching assistant account' });
+    }
 
-      res.status(200).json(results[0]);
-  });
+    await query(
+      'INSERT INTO class_assistants (class_id, email, access) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE access = VALUES(access)',
+      [req.subject.id, email, access]
+    );
+    res.status(200).json({ message: 'Assistant added successfully', email, access });
+  } catch (error) {
+    console.error('Error adding assistant:', error);
+    res.status(500).json({ error: 'Error adding assistant' });
+  }
 });
 
-
-app.delete('/pqfile/:id', authenticateJWT, (req, res) => {
-  const id = req.params.id;
-
-  const sql = "DELETE FROM previouspapers WHERE id = ? AND googleId = ?";
-  connection.query(sql, [id, req.user.googleId], (err, results) => {
-      if (err) {
-          console.error('Error querying database:', err);
-          return res.status(500).json({ error: 'Error querying database' });
-      }
-
-      if (results.affectedRows === 0) {
-          return res.status(404).json({ error: 'No data found for the provided ID' });
-      }
-
-      res.status(200).json({ message: 'File deleted successfully' });
-  });
+app.delete('/classes/:id/assistants/:email', teacherOnly, authorize('class', 'manage', loadClass, 'Class'), async (req, res) => {
+  try {
+    const results = await query('DELETE FROM class_assistants WHERE class_id = ? AND email = ?', [req.subject.id, req.params.email.toLowerCase()]);
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Assistant is not part of this class' });
+    }
+    res.status(200).json({ message: 'Assistant removed successfully' });
+  } catch (error) {
+    console.error('Error removing assistant:', error);
+    res.status(500).json({ error: 'Error removing assistant' });
+  }
 });
 
-//aichat
-app.post('/aichat', authenticateJWT, async (req, res) => {
-  const { question } = req.body;
+// Bulk roster import from CSV or XLSX. Nothing is written while any row has errors, and
+// dryRun=true only reports what would happen. onDuplicate decides what to do with student
+// numbers the teacher already uses: skip the row, update the student, or fail the row.
+app.post('/students/import', teacherOnly, upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
 
-  if (!question) {
-    return res.status(400).json({ error: 'Question is required' });
+  const dryRun = String(req.query.dryRun || req.body.dryRun) === 'true';
+  const onDuplicate = req.query.onDuplicate || req.body.onDuplicate || 'fail';
+  if (!ROSTER_DUPLICATE_MODES.includes(onDuplicate)) {
+    return res.status(400).json({ error: `onDuplicate must be one of: ${ROSTER_DUPLICATE_MODES.join(', ')}` });
   }
 
+  let rows;
   try {
-    const query = util.promisify(connection.query).bind(connection);
-    
-    const googleId = req.user.googleId; // Get Google ID from authenticated user
+    rows = parseRosterFile(req.file.buffer);
+  } catch (error) {
+    console.error('Error parsing roster file:', error);
+    return res.status(400).json({ error: 'Could not read the file as CSV or XLSX' });
+  }
+  if (rows.length === 0) {
+    return res.status(400).json({ error: 'The file has no rows' });
+  }
+  if (rows.length > ROSTER_MAX_ROWS) {
+    return res.status(400).json({ error: `The file has more than ${ROSTER_MAX_ROWS} rows` });
+  }
 
-    const databases = [];
+  try {
+    const plan = await planRosterImport(rows, req.user.googleId, onDuplicate);
+    const count = (action) => plan.filter(entry => entry.action === action).length;
+    const report = {
+      dryRun,
+      onDuplicate,
+      summary: { total: plan.length, create: count('create'), update: count('update'), skip: count('skip'), error: count('error') },
+      rows: plan
+    };
 
-    // Determine which databases to query based on keywords
-    if (question.toLowerCase().includes('paper') || question.toLowerCase().includes('previous')) {
-      databases.push({
-        name: "previouspapers",
-        queryText: "SELECT text, vector FROM previouspapers WHERE googleId = ?",
-        fieldText: 'text',
-        fieldVector: 'vector'
-      });
-    }
-    if (question.toLowerCase().includes('audio')) {
-      databases.push({
-        name: "Audio",
-        queryText: "SELECT transcription, embedding FROM Audio WHERE googleId = ?",
-        fieldText: 'transcription',
-        fieldVector: 'embedding'
-      });
+    if (report.summary.error > 0) {
+      return res.status(dryRun ? 200 : 422).json(report);
     }
-    if (question.toLowerCase().includes('question') || question.toLowerCase().includes('notes')) {
-      databases.push({
-        name: "notes",
-        queryText: "SELECT text, vector FROM notes WHERE googleId = ?",
-        fieldText: 'text',
-        fieldVector: 'vector'
-      });
+    if (dryRun) {
+      return res.status(200).json(report);
     }
 
-    // If no keywords match, default to querying all databases
-    if (databases.length === 0) {
-      databases.push(
-        {
-          name: "previouspapers",
-          queryText: "SELECT text, vector FROM previouspapers WHERE googleId = ?",
-          fieldText: 'text',
-          fieldVector: 'vector'
-        },
-        {
-          name: "Audio",
-          queryText: "SELECT transcription, embedding FROM Audio WHERE googleId = ?",
-          fieldText: 'transcription',
-          fieldVector: 'embedding'
-        },
-        {
-          name: "notes",
-          queryText: "SELECT text, vector FROM notes WHERE googleId = ?",
-          fieldText: 'text',
-          fieldVector: 'vector'
-        }
+    const creates = plan.filter(entry => entry.action === 'create');
+    if (creates.length > 0) {
+      await query(
+        'INSERT INTO students (name, student_number, email, googleId) VALUES ?',
+        [creates.map(entry => [entry.name, entry.studentNumber, entry.email, req.user.googleId])]
       );
     }
-
-    const results = [];
-    for (const db of databases) {
-      const queryResult = await query(db.queryText, [googleId]);
-      if (queryResult.length > 0) {
-        results.push(...queryResult.map(res => ({
-          context: res[db.fieldText],
-          embedding: res[db.fieldVector]
-        })));
+    const updates = plan.filter(entry => entry.action === 'update');
+    if (updates.length > 0) {
+      const students = await query('SELECT id, email, google_sub FROM students WHERE id IN (?) AND googleId = ?', [updates.map(entry => entry.studentId), req.user.googleId]);
+      for (const student of students) {
+        const entry = updates.find(item => item.studentId === student.id);
+        await updateStudent(student, { name: entry.name, email: entry.email });
       }
     }
 
-    let combinedContext = '';
-    if (results.length > 0) {
-      // Create a combined context from all results
-      combinedContext = results.map(res => res.context).join("\n");
-    }
-
-    // Call OpenAI API to get a response
-    const openaiResponse = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        { role: "system", content: "Give a short response in 2-4 lines." },
-        { role: "user", content: combinedContext ? `Answer the question based on the following context:\n\n${combinedContext}\n\nQuestion: ${question}` : `Question: ${question}` }
-      ],
-      max_tokens: 200
-    });
-
-    const answer = openaiResponse.choices[0].message.content.trim();
-    const similarity = results.length > 0 ? 1 : 0; // Adjust similarity if needed
-
-    res.status(200).json({ answer: answer, similarity });
+    res.status(200).json(report);
   } catch (error) {
-    console.error('Error processing request:', error);
-    res.status(500).json({ error: 'Error processing request' });
+    console.error('Error importing students:', error);
+    res.status(500).json({ error: 'Error importing students' });
   }
 });
 
+// Roster export as CSV (default) or XLSX
+app.get('/students/export', teacherOnly, async (req, res) => {
+  const format = req.query.format || 'csv';
 
+  if (!['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({ error: 'format must be csv or xlsx' });
+  }
 
+  try {
+    const students = await query('SELECT name, student_number, email FROM students WHERE googleId = ? AND deleted_at IS NULL ORDER BY student_number', [req.user.googleId]);
+    const sheet = XLSX.utils.json_to_sheet(
+      students.map(student => ({ Name: student.name, 'Student Number': student.student_number, Email: student.email })),
+      { header: ['Name', 'Student Number', 'Email'] }
+    );
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Students');
+
+    const file = XLSX.write(workbook, { type: 'buffer', bookType: format });
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="students.${format}"`
+    });
+    res.status(200).send(file);
+  } catch (error) {
+    console.error('Error exporting students:', error);
+    res.status(500).json({ error: 'Error exporting students' });
+  }
+});
 
-app.post('/students', authenticateJWT, (req, res) => {
+app.post('/students', teacherOnly, (req, res) => {
   const { name, studentNumber, email } = req.body;
   const googleId = req.user.googleId; // Assuming googleId is set in req.user by authenticateJWT
 
@@ -986,7 +6005,10 @@ app.post('/students', authenticateJWT, (req, res) => {
   }
 
   const sql = 'INSERT INTO students (name, student_number, email, googleId) VALUES (?, ?, ?, ?)';
-  connection.query(sql, [name, studentNumber, email, googleId], (err, result) => {
+  pool.query(sql, [name, studentNumber, email, googleId], (err, result) => {
+      if (err && err.code === 'ER_DUP_ENTRY') {
+          return res.status(409).send({ error: 'You already have a student with this student number' });
+      }
       if (err) {
           return res.status(500).send({ error: 'Database error' });
       }
@@ -995,68 +6017,353 @@ app.post('/students', authenticateJWT, (req, res) => {
 });
 
 // Get all students for the authenticated user
-app.get('/students', authenticateJWT, (req, res) => {
+app.get('/students', teacherOnly, (req, res) => {
   const googleId = req.user.googleId; // Assuming googleId is set in req.user by authenticateJWT
 
-  const sql = 'SELECT * FROM students WHERE googleId = ?';
+  const sql = 'SELECT * FROM students WHERE googleId = ? AND deleted_at IS NULL';
   
-  connection.query(sql, [googleId], (err, results) => {
+  pool.query(sql, [googleId], (err, results) => {
       if (err) {
           return res.status(500).send({ error: 'Database error' });
       }
       res.status(200).send({ students: results });
   });
 });
-app.get('/student/:id', authenticateJWT, (req, res) => {
-  const { id } = req.params;
-  const googleId = req.user.googleId; // Assuming googleId is set in req.user by authenticateJWT
+app.get('/student/:id', staffOnly, authorize('student', 'read', loadStudent, 'Student'), (req, res) => {
+  res.status(200).send({ student: req.subject });
+});
 
-  if (!id) {
-      return res.status(400).send({ error: 'Student ID is required' });
+// Update a student's name, student number or email. A new email unlinks the Google account that
+// signed in with the old one.
+app.patch('/student/:id', teacherOnly, authorize('student', 'manage', loadStudent, 'Student'), async (req, res) => {
+  const student = req.subject;
+  const updates = {};
+
+  if (req.body.name !== undefined) {
+      updates.name = String(req.body.name).trim();
+      if (!updates.name) {
+          return res.status(400).send({ error: 'name cannot be empty' });
+      }
+  }
+  if (req.body.studentNumber !== undefined) {
+      updates.student_number = String(req.body.studentNumber).trim();
+      if (!updates.student_number || updates.student_number.length > 50) {
+          return res.status(400).send({ error: 'studentNumber must be 1 to 50 characters' });
+      }
+  }
+  if (req.body.email !== undefined) {
+      updates.email = String(req.body.email).trim();
+      if (!EMAIL_PATTERN.test(updates.email)) {
+          return res.status(400).send({ error: 'A valid email is required' });
+      }
+  }
+  if (Object.keys(updates).length === 0) {
+      return res.status(400).send({ error: 'Nothing to update; send any of: name, studentNumber, email' });
   }
 
-  const sql = 'SELECT * FROM students WHERE id = ? AND googleId = ?';
+  try {
+      await updateStudent(student, updates);
 
-  connection.query(sql, [id, googleId], (err, results) => {
-      if (err) {
-          return res.status(500).send({ error: 'Database error' });
+      const [updated] = await query('SELECT * FROM students WHERE id = ?', [student.id]);
+      res.status(200).send({ message: 'Student updated successfully', student: updated });
+  } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+          return res.status(409).send({ error: 'You already have a student with this student number' });
       }
+      console.error('Error updating student:', error);
+      res.status(500).send({ error: 'Database error' });
+  }
+});
 
-      if (results.length === 0) {
-          return res.status(404).send({ message: 'Student not found or not authorized to view' });
+// Move a student to the trash for the authenticated user. Their class enrolments are kept for a
+// restore and dropped when the student is purged.
+app.delete('/student/:id', teacherOnly, authorize('student', 'manage', loadStudent, 'Student'), async (req, res) => {
+  const { id } = req.params;
+  const googleId = req.user.googleId; // Assuming googleId is set in req.user by authenticateJWT
+
+  try {
+      if (!(await moveToTrash('student', id, googleId))) {
+          return res.status(404).send({ message: 'Student not found or not authorized to delete' });
       }
 
-      res.status(200).send({ student: results[0] });
-  });
+      // Sign the student out unless their Google account is still on another teacher's roster
+      await signOutUnrosteredStudent(req.subject.google_sub);
+
+      res.status(200).send({ message: 'Student moved to the trash', purgeAt: trashPurgeDate(new Date()) });
+  } catch (error) {
+      console.error('Error deleting student:', error);
+      res.status(500).send({ error: 'Database error' });
+  }
 });
 
-// Delete a student by ID for the authenticated user
-app.delete('/student/:id', authenticateJWT, (req, res) => {
-  const { id } = req.params;
-  const googleId = req.user.googleId; // Assuming googleId is set in req.user by authenticateJWT
 
-  if (!id) {
-      return res.status(400).send({ error: 'Student ID is required' });
+
+
+
+
+// Student-facing routes: students only see the material their teachers shared with their classes
+app.get('/me', studentOnly, async (req, res) => {
+  try {
+    const sql = `SELECT s.id, s.name, s.student_number, s.email, u.name AS teacher_name
+      FROM students s LEFT JOIN users u ON u.googleId = s.googleId WHERE s.id IN (?)`;
+    const results = await query(sql, [req.studentIds]);
+    res.status(200).json({ email: req.user.email, enrollments: results });
+  } catch (error) {
+    console.error('Error fetching student profile:', error);
+    res.status(500).json({ error: 'Error fetching student profile' });
+  }
+});
+
+app.get('/me/classes', studentOnly, async (req, res) => {
+  try {
+    const sql = `SELECT DISTINCT c.id, c.name, c.description, u.name AS teacher_name
+      FROM class_students cs JOIN classes c ON c.id = cs.class_id LEFT JOIN users u ON u.googleId = c.googleId
+      WHERE cs.student_id IN (?) ORDER BY c.name`;
+    const results = await query(sql, [req.studentIds]);
+    res.status(200).json(results);
+  } catch (error) {
+    console.error('Error fetching classes:', error);
+    res.status(500).json({ error: 'Error fetching classes' });
   }
+});
 
-  const sql = 'DELETE FROM students WHERE id = ? AND googleId = ?';
+app.get('/me/classes/:id/resources', studentOnly, async (req, res) => {
+  try {
+    const enrolled = await query('SELECT 1 FROM class_students WHERE class_id = ? AND student_id IN (?) LIMIT 1', [req.params.id, req.studentIds]);
+    if (enrolled.length === 0) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
 
-  connection.query(sql, [id, googleId], (err, results) => {
-      if (err) {
-          return res.status(500).send({ error: 'Database error' });
-      }
+    const resources = await listClassResources(req.params.id);
+    res.status(200).json(resources.filter(resource => resource.status === 'ready'));
+  } catch (error) {
+    console.error('Error fetching class resources:', error);
+    res.status(500).json({ error: 'Error fetching class resources' });
+  }
+});
 
-      if (results.affectedRows === 0) {
-          return res.status(404).send({ message: 'Student not found or not authorized to delete' });
-      }
+app.get('/me/resources/:resourceType/:id', studentOnly, async (req, res) => {
+  const { resourceType, id } = req.params;
 
-      res.status(200).send({ message: 'Student deleted successfully' });
-  });
+  if (!RESOURCE_TYPES[resourceType]) {
+    return res.status(404).json({ error: 'Resource not found' });
+  }
+
+  try {
+    if (!(await isSharedWithStudent(req.studentIds, resourceType, id))) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    // Only the content fields are exposed; no owner ids, storage keys or vectors
+    const { table, textField, dateField } = RESOURCE_TYPES[resourceType];
+    const results = await query(
+      `SELECT id, title, ${textField} AS text, ${dateField} AS date FROM ${table} WHERE id = ? AND status = 'ready' AND deleted_at IS NULL`,
+      [id]
+    );
+    if (results.length === 0) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    res.status(200).json({ resourceType, ...results[0] });
+  } catch (error) {
+    console.error('Error fetching resource:', error);
+    res.status(500).json({ error: 'Error fetching resource' });
+  }
+});
+
+app.get('/me/resources/audio/:id/transcript', studentOnly, async (req, res) => {
+  try {
+    if (!(await isSharedWithStudent(req.studentIds, 'audio', req.params.id))) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    const results = await query("SELECT id, title, transcription FROM Audio WHERE id = ? AND status = 'ready' AND deleted_at IS NULL", [req.params.id]);
+    if (results.length === 0) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    await sendTranscript(req, res, results[0]);
+  } catch (error) {
+    console.error('Error fetching transcript:', error);
+    res.status(500).json({ error: 'Error fetching transcript' });
+  }
+});
+
+app.get('/me/resources/audio/:id/stream', studentOnly, async (req, res) => {
+  try {
+    if (!(await isSharedWithStudent(req.studentIds, 'audio', req.params.id))) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    const results = await query("SELECT audio FROM Audio WHERE id = ? AND status = 'ready' AND deleted_at IS NULL", [req.params.id]);
+    if (results.length === 0 || !results[0].audio) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    await sendStoredFile(req, res, results[0].audio);
+  } catch (error) {
+    console.error('Error streaming audio:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Error streaming audio' });
+    }
+  }
+});
+
+app.post('/me/resources/:resourceType/:id/ask', studentOnly, meterAI, async (req, res) => {
+  const { resourceType, id } = req.params;
+  const { question } = req.body;
+
+  if (!question) {
+    return res.status(400).json({ error: 'Question is required' });
+  }
+  if (!RESOURCE_TYPES[resourceType]) {
+    return res.status(404).json({ error: 'Resource not found' });
+  }
+
+  try {
+    if (!(await isSharedWithStudent(req.studentIds, resourceType, id))) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    const { table, textField } = RESOURCE_TYPES[resourceType];
+    const results = await query(`SELECT googleId, ${textField} AS text FROM ${table} WHERE id = ? AND status = 'ready' AND deleted_at IS NULL`, [id]);
+    if (results.length === 0) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    const storedChunks = await loadChunks(resourceType, id, results[0].googleId, results[0].text);
+    if (!storedChunks) {
+      return res.status(409).json(CHUNKS_PENDING);
+    }
+    const questionEmbedding = await generateEmbedding(question);
+    const topChunks = rankChunks(storedChunks, questionEmbedding);
+
+    await answerQuestion(req, res, [
+      { role: "system", content: "You are a helpful tutor. Answer the student's question from the provided context." },
+      { role: "user", content: `Answer the question based on the following context:\n\n${formatChunkContext(topChunks)}\n\nQuestion: ${question}` }
+    ], async (answer) => ({
+      answer: answer,
+      similarity: topChunks.length > 0 ? topChunks[0].similarity : 0,
+      chunks: describeChunks(topChunks)
+    }));
+  } catch (error) {
+    console.error('Error processing request:', error);
+    res.status(500).json({ error: 'Error processing request' });
+  }
+});
+
+// Ask across everything shared with the student's classes, with citations
+app.post('/me/ask', studentOnly, meterAI, async (req, res) => {
+  const { question } = req.body;
+
+  if (!question) {
+    return res.status(400).json({ error: 'Question is required' });
+  }
+
+  try {
+    const questionEmbedding = await generateEmbedding(question);
+    const sources = selectWithinBudget(await searchSharedChunks(req.studentIds, questionEmbedding, AICHAT_MAX_CANDIDATES));
+
+    const combinedContext = sources
+      .map((chunk, i) => `[${i + 1}] (${chunk.resourceType}: ${chunk.title})\n${chunk.text}`)
+      .join('\n\n');
+
+    await answerQuestion(req, res, [
+      { role: "system", content: "You are a helpful tutor. Cite the numbered sources you use like [1]. If the sources do not contain the answer, say so." },
+      { role: "user", content: combinedContext ? `Answer the question based on the following sources:\n\n${combinedContext}\n\nQuestion: ${question}` : `Question: ${question}` }
+    ], async (answer) => ({
+      answer: answer,
+      similarity: sources.length > 0 ? sources[0].similarity : 0,
+      citations: describeCitations(sources)
+    }));
+  } catch (error) {
+    console.error('Error processing request:', error);
+    res.status(500).json({ error: 'Error processing request' });
+  }
+});
+
+
+
+
+// Health check for load balancers and monitoring: 200 when the database answers, 503 when it does not
+app.get('/health', async (req, res) => {
+  const started = Date.now();
+  try {
+    await query('SELECT 1');
+    res.status(200).json({
+      status: 'ok',
+      uptime: Math.round(process.uptime()),
+      database: {
+        connected: true,
+        latencyMs: Date.now() - started,
+        dialect: dbHealth.dialect,
+        schemaVersion: dbHealth.schemaVersion,
+        latestVersion: dbHealth.latestVersion,
+        lastError: dbHealth.lastError,
+        lastErrorAt: dbHealth.lastErrorAt
+      }
+    });
+  } catch (error) {
+    console.error('Error checking database health:', error);
+    res.status(503).json({
+      status: 'unavailable',
+      database: { connected: false, error: error.code || error.message, lastOkAt: dbHealth.lastOkAt }
+    });
+  }
 });
 
 
+// Start the server once the database answers and its schema is current. Pending migrations stop
+// the start unless MIGRATE_ON_START=true, in which case they are applied first.
+const startServer = async () => {
+  await waitForDatabase(query);
 
+  let status = await schemaStatus(query);
+  if (status.pending.length > 0 && process.env.MIGRATE_ON_START === 'true') {
+    await migrateUp(query);
+    status = await schemaStatus(query);
+  }
+  if (status.pending.length > 0) {
+    throw new Error(`Database schema is at version ${status.current} but this code needs version ${status.latest}; run "npm run migrate"`);
+  }
+  if (status.unknown.length > 0) {
+    console.warn(`Database has migrations this code does not know: ${status.unknown.map(row => `${row.version}_${row.name}`).join(', ')}`);
+  }
+  Object.assign(dbHealth, { dialect: status.dialect, schemaVersion: status.current, latestVersion: status.latest });
 
+  const backfills = await queueChunkBackfill();
+  if (backfills > 0) {
+    console.log(`Queued chunk backfill for ${backfills} user(s)`);
+  }
 
+  app.listen(3003, () => {
+    console.log(`Server running on port 3003 (${status.dialect}, schema version ${status.current})`);
+    startJobWorker();
+    startTrashPurger();
+  });
+};
 
-app.listen(3003, () => console.log('Server running on port 3003'));
+// The server starts when this file is run; tests load it for the pieces below and fake the database
+if (require.main === module) {
+  startServer().catch((error) => {
+    console.error('Error starting server:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  app,
+  pool,
+  ai,
+  isPublicAddress,
+  fetchPublic,
+  chunkText,
+  embedDocument,
+  loadChunks,
+  rankChunks,
+  generateQuizQuestions,
+  normalizeQuizQuestion,
+  gradeAnswerSheet,
+  listResources,
+  listResponse,
+  decodeCursor,
+  quotaStatus,
+  meterAI
+};
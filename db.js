@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2');
+
+// Migrations are numbered up/down scripts in migrations/, e.g. 002_resource_owner_indexes.up.sql.
+// A script named *.up.singlestore.sql (or *.down.singlestore.sql) replaces the plain one on SingleStore.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_(\w+)\.(up|down)(\.singlestore)?\.sql$/;
+const DIALECTS = ['mysql', 'singlestore'];
+
+// Connection errors after which a read is tried once more on a fresh connection
+const CONNECTION_ERRORS = ['PROTOCOL_CONNECTION_LOST', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE'];
+const RETRY_DELAY_MS = 500;
+
+// Function to create the connection pool. The pool drops connections that fail and opens new ones
+// on demand, so the server recovers by itself when the database restarts.
+const createPool = () => mysql.createPool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_DATABASE,
+  port: process.env.DB_PORT,
+  connectionLimit: parseInt(process.env.DB_POOL_SIZE, 10) || 10,
+  waitForConnections: true,
+  enableKeepAlive: true,
+  keepAliveInitialDelay: 10000
+});
+
+// Function to tell connection failures from errors in the query itself
+const isConnectionError = (error) => Boolean(error && (error.fatal || CONNECTION_ERRORS.includes(error.code)));
+
+// Function to build a promise-based query helper over the pool. Reads that fail because a connection
+// dropped are retried once; writes are not, since the server may already have applied them. The
+// outcome of every query is recorded in `health`.
+const createQuery = (pool, health) => {
+  const run = (sql, values) => new Promise((resolve, reject) => {
+    pool.query(sql, values, (error, results) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(results);
+    });
+  });
+
+  return async (sql, values) => {
+    try {
+      const results = await run(sql, values);
+      health.lastOkAt = new Date();
+      return results;
+    } catch (error) {
+      if (!isConnectionError(error)) {
+        throw error;
+      }
+      health.lastError = error.code || error.message;
+      health.lastErrorAt = new Date();
+      if (!/^\s*SELECT\b/i.test(sql)) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+      const results = await run(sql, values);
+      health.lastOkAt = new Date();
+      return results;
+    }
+  };
+};
+
+// Function to build a transaction helper over the pool. `work` gets a query function bound to one
+// connection; its writes are committed when it resolves and rolled back when it throws. Nothing is
+// retried, since a dropped connection loses the transaction.
+const createTransaction = (pool, health) => async (work) => {
+  const connection = await new Promise((resolve, reject) => {
+    pool.getConnection((error, conn) => error ? reject(error) : resolve(conn));
+  });
+  const call = (method, ...args) => new Promise((resolve, reject) => {
+    connection[method](...args, (error, results) => error ? reject(error) : resolve(results));
+  });
+
+  try {
+    await call('beginTransaction');
+    const result = await work((sql, values) => call('query', sql, values));
+    await call('commit');
+    health.lastOkAt = new Date();
+    connection.release();
+    return result;
+  } catch (error) {
+    // A connection that failed is dropped rather than returned to the pool
+    if (isConnectionError(error)) {
+      health.lastError = error.code || error.message;
+      health.lastErrorAt = new Date();
+      connection.destroy();
+    } else {
+      await call('rollback').catch(() => {});
+      connection.release();
+    }
+    throw error;
+  }
+};
+
+// Function to wait for the database at startup, retrying with a growing delay
+const waitForDatabase = async (query, attempts = 10) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await query('SELECT 1');
+      return;
+    } catch (error) {
+      if (attempt >= attempts) {
+        throw error;
+      }
+      const delay = Math.min(attempt * 1000, 10000);
+      console.error(`Database not reachable (${error.code || error.message}), retrying in ${delay / 1000}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+};
+
+// Function to tell MySQL and SingleStore apart; DB_DIALECT skips the check
+const detectDialect = async (query) => {
+  if (process.env.DB_DIALECT) {
+    if (!DIALECTS.includes(process.env.DB_DIALECT)) {
+      throw new Error(`DB_DIALECT must be one of: ${DIALECTS.join(', ')}`);
+    }
+    return process.env.DB_DIALECT;
+  }
+  try {
+    await query('SELECT @@memsql_version AS version');
+    return 'singlestore';
+  } catch (error) {
+    if (isConnectionError(error)) {
+      throw error;
+    }
+    return 'mysql';
+  }
+};
+
+// Function to read the migration scripts for a dialect, in version order
+const loadMigrations = (dialect) => {
+  const migrations = new Map();
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      continue;
+    }
+    const [, number, name, direction, singlestore] = match;
+    const version = parseInt(number, 10);
+    const migration = migrations.get(version) || { version, name, files: {} };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has two names: ${migration.name} and ${name}`);
+    }
+    // A script written for this dialect wins over the plain one
+    if (!singlestore || dialect === 'singlestore') {
+      if (singlestore || !migration.files[direction]) {
+        migration.files[direction] = file;
+      }
+    }
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()].sort((a, b) => a.version - b.version).map(migration => {
+    if (!migration.files.up || !migration.files.down) {
+      throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down script`);
+    }
+    return migration;
+  });
+};
+
+// Function to split a script into statements on semicolons that end a line; -- comments are dropped
+const splitStatements = (sql) => sql
+  .split('\n')
+  .filter(line => !/^\s*--/.test(line))
+  .join('\n')
+  .split(/;\s*(?:\n|$)/)
+  .map(statement => statement.trim())
+  .filter(Boolean);
+
+// Function to run the statements of a migration script
+const runScript = async (query, migration, direction) => {
+  const statements = splitStatements(fs.readFileSync(path.join(MIGRATIONS_DIR, migration.files[direction]), 'utf8'));
+  for (const [i, statement] of statements.entries()) {
+    try {
+      await query(statement);
+    } catch (error) {
+      // DDL commits as it goes in both MySQL and SingleStore, so earlier statements stay applied
+      throw new Error(`Migration ${migration.files[direction]} failed at statement ${i + 1} of ${statements.length}: ${error.message}`);
+    }
+  }
+};
+
+// Function to create the table that records applied migrations
+const ensureMigrationTable = async (query, dialect) => {
+  const kind = dialect === 'singlestore' ? 'ROWSTORE REFERENCE TABLE' : 'TABLE';
+  await query(`CREATE ${kind} IF NOT EXISTS schema_migrations (
+    version INT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+};
+
+// Function to report the schema version against the migrations on disk. `unknown` lists applied
+// versions with no script, e.g. after rolling back the code but not the database.
+const schemaStatus = async (query) => {
+  const dialect = await detectDialect(query);
+  await ensureMigrationTable(query, dialect);
+  const migrations = loadMigrations(dialect);
+  const applied = await query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  const appliedVersions = new Set(applied.map(row => row.version));
+
+  return {
+    dialect,
+    current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied,
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+    unknown: applied.filter(row => !migrations.some(migration => migration.version === row.version))
+  };
+};
+
+// Function to apply pending migrations in order, up to and including version `to` when given
+const migrateUp = async (query, to = Infinity) => {
+  const status = await schemaStatus(query);
+  const ran = [];
+  for (const migration of status.pending.filter(entry => entry.version <= to)) {
+    await runScript(query, migration, 'up');
+    await query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    console.log(`Applied migration ${migration.version}_${migration.name}`);
+    ran.push(migration.version);
+  }
+  return ran;
+};
+
+// Function to roll back the most recently applied migrations
+const migrateDown = async (query, steps = 1) => {
+  const status = await schemaStatus(query);
+  const migrations = loadMigrations(status.dialect);
+  const ran = [];
+  for (const row of [...status.applied].reverse().slice(0, steps)) {
+    const migration = migrations.find(entry => entry.version === row.version);
+    if (!migration) {
+      throw new Error(`Migration ${row.version}_${row.name} has no scripts to roll it back with`);
+    }
+    await runScript(query, migration, 'down');
+    await query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    console.log(`Rolled back migration ${migration.version}_${migration.name}`);
+    ran.push(migration.version);
+  }
+  return ran;
+};
+
+// Function to record migrations up to `version` as applied without running them, for databases
+// created from the old models.txt
+const baseline = async (query, version) => {
+  const status = await schemaStatus(query);
+  const marked = status.pending.filter(migration => migration.version <= version);
+  for (const migration of marked) {
+    await query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+  }
+  return marked.map(migration => migration.version);
+};
+
+module.exports = {
+  createPool,
+  createQuery,
+  createTransaction,
+  waitForDatabase,
+  isConnectionError,
+  schemaStatus,
+  migrateUp,
+  migrateDown,
+  baseline
+};
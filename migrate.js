@@ -0,0 +1,54 @@
+// Database migration command line:
+//   node migrate.js up [version]     apply pending migrations, optionally only up to a version
+//   node migrate.js down [steps]     roll back the last migration, or the last few
+//   node migrate.js status           show the applied and pending migrations
+//   node migrate.js baseline <version>
+//                                    mark migrations up to a version as applied without running
+//                                    them, for a database created from the old models.txt
+const dotenv = require('dotenv');
+const { createPool, createQuery, schemaStatus, migrateUp, migrateDown, baseline } = require('./db');
+
+dotenv.config();
+
+const pool = createPool();
+const query = createQuery(pool, {});
+
+const commands = {
+  up: async (to) => {
+    const ran = await migrateUp(query, to !== undefined ? parseInt(to, 10) : Infinity);
+    console.log(ran.length > 0 ? `Applied ${ran.length} migration(s)` : 'Nothing to migrate');
+  },
+  down: async (steps) => {
+    const ran = await migrateDown(query, steps !== undefined ? parseInt(steps, 10) : 1);
+    console.log(ran.length > 0 ? `Rolled back ${ran.length} migration(s)` : 'Nothing to roll back');
+  },
+  status: async () => {
+    const status = await schemaStatus(query);
+    console.log(`Dialect: ${status.dialect}`);
+    console.log(`Schema version: ${status.current} (latest ${status.latest})`);
+    status.applied.forEach(row => console.log(`  applied  ${row.version}_${row.name}  ${row.applied_at.toISOString()}`));
+    status.pending.forEach(migration => console.log(`  pending  ${migration.version}_${migration.name}`));
+    status.unknown.forEach(row => console.log(`  unknown  ${row.version}_${row.name} (no script on disk)`));
+  },
+  baseline: async (version) => {
+    if (version === undefined || isNaN(parseInt(version, 10))) {
+      throw new Error('baseline needs the version the database is already at');
+    }
+    const marked = await baseline(query, parseInt(version, 10));
+    console.log(marked.length > 0 ? `Marked ${marked.join(', ')} as applied` : 'Nothing to mark');
+  }
+};
+
+const [command = 'up', arg] = process.argv.slice(2);
+
+if (!commands[command]) {
+  console.error(`Unknown command "${command}"; use one of: ${Object.keys(commands).join(', ')}`);
+  process.exit(1);
+}
+
+commands[command](arg)
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
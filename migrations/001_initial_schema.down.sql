@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS previouspapers;
+DROP TABLE IF EXISTS notes;
+DROP TABLE IF EXISTS Audio;
+DROP TABLE IF EXISTS students;
+DROP TABLE IF EXISTS users;
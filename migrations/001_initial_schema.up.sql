@@ -0,0 +1,54 @@
+-- Initial schema, as it stood in models.txt (without its stray "usertable;" line).
+-- Databases created from models.txt: run "node migrate.js baseline 1" instead of applying this,
+-- then "npm run migrate" to bring them up to date.
+
+CREATE TABLE users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    googleId VARCHAR(255) NOT NULL UNIQUE,
+    email VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE students (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    student_number VARCHAR(50) NOT NULL UNIQUE,
+    email VARCHAR(255) NOT NULL,
+    googleId VARCHAR(255) NOT NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE Audio (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    googleId VARCHAR(255) NOT NULL,
+    transcription TEXT NOT NULL,
+    audio VARCHAR(255) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    embedding JSON NOT NULL,
+    date DATETIME NOT NULL
+);
+
+CREATE TABLE notes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    category VARCHAR(255) NOT NULL,
+    exam VARCHAR(255) NOT NULL,
+    paper VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    topics TEXT NOT NULL,
+    text LONGTEXT NOT NULL,
+    vector JSON NOT NULL,
+    googleId VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE previouspapers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    text TEXT NOT NULL,
+    vector JSON NOT NULL,
+    date DATE NOT NULL,
+    googleId VARCHAR(255) NOT NULL,
+    INDEX (googleId)
+);
@@ -0,0 +1,2 @@
+ALTER TABLE Audio DROP INDEX idx_audio_googleId;
+ALTER TABLE notes DROP INDEX idx_notes_googleId;
@@ -0,0 +1,4 @@
+-- Lists and searches filter Audio and notes by owner. ADD INDEX runs unchanged on SingleStore.
+
+ALTER TABLE Audio ADD INDEX idx_audio_googleId (googleId);
+ALTER TABLE notes ADD INDEX idx_notes_googleId (googleId);
@@ -0,0 +1,16 @@
+-- Chunk embeddings for retrieval; start_time/end_time place audio chunks in the recording
+
+CREATE TABLE chunks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    resource_type VARCHAR(32) NOT NULL,
+    resource_id INT NOT NULL,
+    googleId VARCHAR(255) NOT NULL,
+    chunk_index INT NOT NULL,
+    text TEXT NOT NULL,
+    embedding JSON NOT NULL,
+    start_time DECIMAL(10,3),
+    end_time DECIMAL(10,3),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX (resource_type, resource_id),
+    INDEX (googleId)
+);
@@ -0,0 +1,23 @@
+-- Chat threads and their turns
+-- New tables are rowstore, like the rest of the SingleStore schema.
+
+CREATE ROWSTORE TABLE conversations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    googleId VARCHAR(255) NOT NULL,
+    title VARCHAR(255),
+    summary TEXT,
+    summarized_until INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX (googleId)
+);
+
+CREATE ROWSTORE TABLE conversation_messages (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    conversation_id INT NOT NULL,
+    role VARCHAR(16) NOT NULL,
+    content TEXT NOT NULL,
+    sources JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX (conversation_id)
+);
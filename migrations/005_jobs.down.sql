@@ -0,0 +1,5 @@
+-- embedding and vector stay nullable: documents that failed processing have none
+ALTER TABLE previouspapers DROP COLUMN status;
+ALTER TABLE notes DROP COLUMN status;
+ALTER TABLE Audio DROP COLUMN status;
+DROP TABLE IF EXISTS jobs;
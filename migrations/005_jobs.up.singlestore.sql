@@ -0,0 +1,31 @@
+-- Background processing: the job queue, and the status of each document. Embeddings are
+-- written by the job, so documents exist without one while they are processed.
+-- New tables are rowstore, like the rest of the SingleStore schema.
+
+CREATE ROWSTORE TABLE jobs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    googleId VARCHAR(255) NOT NULL,
+    type VARCHAR(32) NOT NULL,
+    resource_type VARCHAR(32),
+    resource_id INT,
+    payload JSON NOT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'queued',
+    progress INT NOT NULL DEFAULT 0,
+    stage VARCHAR(64),
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 3,
+    error TEXT,
+    run_at DATETIME NOT NULL,
+    locked_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX (status, run_at),
+    INDEX (googleId)
+);
+
+ALTER TABLE Audio MODIFY embedding JSON;
+ALTER TABLE Audio ADD COLUMN status VARCHAR(16) NOT NULL DEFAULT 'ready';
+ALTER TABLE notes MODIFY vector JSON;
+ALTER TABLE notes ADD COLUMN status VARCHAR(16) NOT NULL DEFAULT 'ready';
+ALTER TABLE previouspapers MODIFY vector JSON;
+ALTER TABLE previouspapers ADD COLUMN status VARCHAR(16) NOT NULL DEFAULT 'ready';
@@ -0,0 +1,30 @@
+-- Generated quizzes and their questions
+
+CREATE TABLE quizzes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    googleId VARCHAR(255) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    note_ids JSON NOT NULL,
+    paper_ids JSON NOT NULL,
+    question_count INT NOT NULL,
+    question_types JSON NOT NULL,
+    difficulty VARCHAR(16) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX (googleId)
+);
+
+CREATE TABLE quiz_questions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    quiz_id INT NOT NULL,
+    position INT NOT NULL,
+    type VARCHAR(16) NOT NULL,
+    question TEXT NOT NULL,
+    options JSON,
+    answer TEXT NOT NULL,
+    explanation TEXT,
+    source_type VARCHAR(32),
+    source_id INT,
+    source_excerpt TEXT,
+    INDEX (quiz_id)
+);
@@ -0,0 +1,35 @@
+-- Answer sheet gradings and their per-question scores
+-- New tables are rowstore, like the rest of the SingleStore schema.
+
+CREATE ROWSTORE TABLE gradings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    googleId VARCHAR(255) NOT NULL,
+    student_id INT NOT NULL,
+    graded_by VARCHAR(255),
+    source_type VARCHAR(16) NOT NULL,
+    source_id INT,
+    rubric JSON,
+    answer_text LONGTEXT NOT NULL,
+    file_key VARCHAR(255),
+    status VARCHAR(16) NOT NULL DEFAULT 'draft',
+    total_score DECIMAL(8,2) NOT NULL,
+    max_score DECIMAL(8,2) NOT NULL,
+    overall_feedback TEXT,
+    finalized_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX (googleId),
+    INDEX (student_id)
+);
+
+CREATE ROWSTORE TABLE grading_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    grading_id INT NOT NULL,
+    position INT NOT NULL,
+    question TEXT NOT NULL,
+    max_score DECIMAL(8,2) NOT NULL,
+    ai_score DECIMAL(8,2) NOT NULL,
+    ai_feedback TEXT,
+    teacher_score DECIMAL(8,2),
+    teacher_feedback TEXT,
+    INDEX (grading_id)
+);
@@ -0,0 +1,17 @@
+-- Fails if two teachers have since used the same student number
+
+CREATE ROWSTORE REFERENCE TABLE students_swap (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    student_number VARCHAR(50) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    googleId VARCHAR(255) NOT NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY student_number (student_number)
+);
+
+INSERT INTO students_swap (id, name, student_number, email, googleId, createdAt)
+    SELECT id, name, student_number, email, googleId, createdAt FROM students;
+
+DROP TABLE students;
+ALTER TABLE students_swap RENAME TO students;
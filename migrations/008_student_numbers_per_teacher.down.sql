@@ -0,0 +1,3 @@
+-- Fails if two teachers have since used the same student number
+ALTER TABLE students DROP INDEX uq_students_teacher_number;
+ALTER TABLE students ADD UNIQUE INDEX student_number (student_number);
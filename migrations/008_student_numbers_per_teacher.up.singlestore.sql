@@ -0,0 +1,18 @@
+-- SingleStore cannot change the unique keys of an existing table, so students is copied into a
+-- new table with the per-teacher key and swapped in.
+
+CREATE ROWSTORE REFERENCE TABLE students_swap (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    student_number VARCHAR(50) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    googleId VARCHAR(255) NOT NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_students_teacher_number (googleId, student_number)
+);
+
+INSERT INTO students_swap (id, name, student_number, email, googleId, createdAt)
+    SELECT id, name, student_number, email, googleId, createdAt FROM students;
+
+DROP TABLE students;
+ALTER TABLE students_swap RENAME TO students;
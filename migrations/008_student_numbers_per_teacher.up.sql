@@ -0,0 +1,4 @@
+-- Student numbers are unique per teacher rather than across all teachers
+
+ALTER TABLE students DROP INDEX student_number;
+ALTER TABLE students ADD UNIQUE INDEX uq_students_teacher_number (googleId, student_number);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS class_resources;
+DROP TABLE IF EXISTS class_students;
+DROP TABLE IF EXISTS classes;
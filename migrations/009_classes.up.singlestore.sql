@@ -0,0 +1,28 @@
+-- Classes, their students and the material shared with them
+-- New tables are rowstore, like the rest of the SingleStore schema.
+
+CREATE ROWSTORE TABLE classes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    googleId VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX (googleId)
+);
+
+CREATE ROWSTORE TABLE class_students (
+    class_id INT NOT NULL,
+    student_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (class_id, student_id),
+    INDEX (student_id)
+);
+
+CREATE ROWSTORE TABLE class_resources (
+    class_id INT NOT NULL,
+    resource_type VARCHAR(32) NOT NULL,
+    resource_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (class_id, resource_type, resource_id),
+    INDEX (resource_type, resource_id)
+);
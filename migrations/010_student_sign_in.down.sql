@@ -0,0 +1,3 @@
+ALTER TABLE students DROP INDEX idx_students_email;
+ALTER TABLE students DROP INDEX idx_students_google_sub;
+ALTER TABLE students DROP COLUMN google_sub;
@@ -0,0 +1,5 @@
+-- Roster entries linked to the Google account of the student who signed in
+
+ALTER TABLE students ADD COLUMN google_sub VARCHAR(255);
+ALTER TABLE students ADD INDEX idx_students_google_sub (google_sub);
+ALTER TABLE students ADD INDEX idx_students_email (email);
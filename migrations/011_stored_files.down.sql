@@ -0,0 +1,2 @@
+ALTER TABLE previouspapers DROP COLUMN file_key;
+ALTER TABLE notes DROP COLUMN file_key;
@@ -0,0 +1,4 @@
+-- Keys of the uploaded files behind notes and previous papers
+
+ALTER TABLE notes ADD COLUMN file_key VARCHAR(255);
+ALTER TABLE previouspapers ADD COLUMN file_key VARCHAR(255);
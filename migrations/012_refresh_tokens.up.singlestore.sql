@@ -0,0 +1,18 @@
+-- Server-side refresh tokens; only their hashes are stored
+-- New tables are rowstore, like the rest of the SingleStore schema.
+
+CREATE ROWSTORE REFERENCE TABLE refresh_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    googleId VARCHAR(255) NOT NULL,
+    role VARCHAR(16) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    family_id CHAR(36) NOT NULL,
+    replaced_by INT,
+    user_agent VARCHAR(255),
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (token_hash),
+    INDEX (googleId),
+    INDEX (family_id)
+);
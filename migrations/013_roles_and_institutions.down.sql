@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS class_assistants;
+DROP TABLE IF EXISTS invitations;
+DROP TABLE IF EXISTS institutions;
+ALTER TABLE users DROP INDEX idx_users_institution_id;
+ALTER TABLE users DROP INDEX idx_users_email;
+ALTER TABLE users DROP COLUMN disabled_at;
+ALTER TABLE users DROP COLUMN institution_id;
+ALTER TABLE users DROP COLUMN role;
@@ -0,0 +1,33 @@
+-- Account roles, institutions with their invitations, and class assistants
+
+ALTER TABLE users ADD COLUMN role VARCHAR(16) NOT NULL DEFAULT 'teacher';
+ALTER TABLE users ADD COLUMN institution_id INT;
+ALTER TABLE users ADD COLUMN disabled_at DATETIME;
+ALTER TABLE users ADD INDEX idx_users_email (email);
+ALTER TABLE users ADD INDEX idx_users_institution_id (institution_id);
+
+CREATE TABLE institutions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE invitations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    institution_id INT NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(16) NOT NULL,
+    invited_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (email),
+    INDEX (institution_id)
+);
+
+CREATE TABLE class_assistants (
+    class_id INT NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    access VARCHAR(16) NOT NULL DEFAULT 'read',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (class_id, email),
+    INDEX (email)
+);
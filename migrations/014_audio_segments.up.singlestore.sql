@@ -0,0 +1,13 @@
+-- Timed, speaker-labelled transcript segments of lectures
+-- New tables are rowstore, like the rest of the SingleStore schema.
+
+CREATE ROWSTORE TABLE audio_segments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    audio_id INT NOT NULL,
+    position INT NOT NULL,
+    start_time DECIMAL(10,3) NOT NULL,
+    end_time DECIMAL(10,3) NOT NULL,
+    speaker INT,
+    text TEXT NOT NULL,
+    INDEX (audio_id)
+);
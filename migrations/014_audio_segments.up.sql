@@ -0,0 +1,12 @@
+-- Timed, speaker-labelled transcript segments of lectures
+
+CREATE TABLE audio_segments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    audio_id INT NOT NULL,
+    position INT NOT NULL,
+    start_time DECIMAL(10,3) NOT NULL,
+    end_time DECIMAL(10,3) NOT NULL,
+    speaker INT,
+    text TEXT NOT NULL,
+    INDEX (audio_id)
+);
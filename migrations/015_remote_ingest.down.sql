@@ -0,0 +1,2 @@
+-- audio stays nullable: lectures taken from captions have no audio file
+ALTER TABLE Audio DROP COLUMN source_url;
@@ -0,0 +1,4 @@
+-- Lectures ingested from a URL record where they came from; those taken from captions have no audio file
+
+ALTER TABLE Audio MODIFY audio VARCHAR(255);
+ALTER TABLE Audio ADD COLUMN source_url VARCHAR(2048);
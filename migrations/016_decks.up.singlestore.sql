@@ -0,0 +1,16 @@
+-- Generated lesson decks
+-- New tables are rowstore, like the rest of the SingleStore schema.
+
+CREATE ROWSTORE TABLE decks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    googleId VARCHAR(255) NOT NULL,
+    resource_type VARCHAR(32) NOT NULL,
+    resource_id INT NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    slide_count INT NOT NULL,
+    audience_level VARCHAR(16) NOT NULL,
+    outline JSON NOT NULL,
+    file_key VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX (googleId)
+);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS exam_paper_files;
+DROP TABLE IF EXISTS exam_papers;
@@ -0,0 +1,24 @@
+-- Printable exam papers and their generated PDFs
+-- New tables are rowstore, like the rest of the SingleStore schema.
+
+CREATE ROWSTORE TABLE exam_papers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    googleId VARCHAR(255) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    header JSON NOT NULL,
+    sections JSON NOT NULL,
+    total_marks DECIMAL(8,2) NOT NULL,
+    version_count INT NOT NULL DEFAULT 1,
+    shuffled TINYINT(1) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX (googleId)
+);
+
+CREATE ROWSTORE TABLE exam_paper_files (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    exam_paper_id INT NOT NULL,
+    version CHAR(1) NOT NULL,
+    kind VARCHAR(16) NOT NULL,
+    file_key VARCHAR(255) NOT NULL,
+    INDEX (exam_paper_id)
+);
@@ -0,0 +1,16 @@
+-- Earlier versions of note text and transcripts
+-- New tables are rowstore, like the rest of the SingleStore schema.
+
+CREATE ROWSTORE REFERENCE TABLE resource_versions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    resource_type VARCHAR(32) NOT NULL,
+    resource_id INT NOT NULL,
+    googleId VARCHAR(255) NOT NULL,
+    version INT NOT NULL,
+    title VARCHAR(255),
+    text LONGTEXT NOT NULL,
+    segments JSON,
+    edited_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (resource_type, resource_id, version)
+);
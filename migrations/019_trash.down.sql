@@ -0,0 +1,7 @@
+ALTER TABLE students DROP COLUMN deleted_at;
+ALTER TABLE previouspapers DROP INDEX idx_previouspapers_deleted_at;
+ALTER TABLE previouspapers DROP COLUMN deleted_at;
+ALTER TABLE notes DROP INDEX idx_notes_deleted_at;
+ALTER TABLE notes DROP COLUMN deleted_at;
+ALTER TABLE Audio DROP INDEX idx_audio_deleted_at;
+ALTER TABLE Audio DROP COLUMN deleted_at;
@@ -0,0 +1,9 @@
+-- Soft deletion: trashed rows have deleted_at set until they are restored or purged
+
+ALTER TABLE Audio ADD COLUMN deleted_at DATETIME;
+ALTER TABLE Audio ADD INDEX idx_audio_deleted_at (deleted_at);
+ALTER TABLE notes ADD COLUMN deleted_at DATETIME;
+ALTER TABLE notes ADD INDEX idx_notes_deleted_at (deleted_at);
+ALTER TABLE previouspapers ADD COLUMN deleted_at DATETIME;
+ALTER TABLE previouspapers ADD INDEX idx_previouspapers_deleted_at (deleted_at);
+ALTER TABLE students ADD COLUMN deleted_at DATETIME;
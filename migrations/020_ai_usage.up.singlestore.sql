@@ -0,0 +1,28 @@
+-- Per-user AI usage log and quotas
+-- New tables are rowstore, like the rest of the SingleStore schema.
+
+CREATE ROWSTORE TABLE ai_usage (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    googleId VARCHAR(255),
+    feature VARCHAR(255) NOT NULL,
+    kind VARCHAR(16) NOT NULL,
+    model VARCHAR(255) NOT NULL,
+    prompt_tokens INT NOT NULL DEFAULT 0,
+    completion_tokens INT NOT NULL DEFAULT 0,
+    audio_seconds DECIMAL(10,3) NOT NULL DEFAULT 0,
+    cost DECIMAL(14,6) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX (googleId, created_at),
+    INDEX (created_at)
+);
+
+CREATE ROWSTORE TABLE ai_quotas (
+    googleId VARCHAR(255) NOT NULL,
+    period VARCHAR(8) NOT NULL,
+    max_cost DECIMAL(12,4),
+    max_tokens BIGINT,
+    max_audio_minutes DECIMAL(10,2),
+    set_by VARCHAR(255) NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (googleId, period)
+);
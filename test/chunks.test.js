@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ai, chunkText, embedDocument, loadChunks, rankChunks, fakeDatabase } = require('./helpers');
+
+test('chunkText splits long text into overlapping chunks within the size limit', () => {
+  const words = Array.from({ length: 600 }, (_, i) => `word${i}`);
+  const chunks = chunkText(words.join(' '), 500, 100);
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= 500);
+  }
+  // Each chunk starts with words the previous one ended with
+  for (let i = 1; i < chunks.length; i++) {
+    const firstWord = chunks[i].split(' ')[0];
+    assert.ok(chunks[i - 1].includes(firstWord), `chunk ${i} does not overlap the one before it`);
+  }
+  // Every word is kept
+  assert.ok(chunks[chunks.length - 1].endsWith('word599'));
+});
+
+test('chunkText gives no chunks for blank text', () => {
+  assert.deepStrictEqual(chunkText('  \n\n  '), []);
+});
+
+test('rankChunks puts the chunk that shares the question words first', async () => {
+  const texts = [
+    'Photosynthesis turns light, water and carbon dioxide into glucose in the chloroplasts of plant leaves.',
+    'The French Revolution began in 1789 with the storming of the Bastille in Paris.',
+    'Newton\'s second law says force equals mass times acceleration.'
+  ];
+  const { embeddings } = await ai.embed(texts);
+  const chunks = texts.map((text, i) => ({ id: i + 1, chunkIndex: i, text, embedding: embeddings[i] }));
+
+  const [question] = (await ai.embed(['When did the French Revolution begin in Paris?'])).embeddings;
+  const ranked = rankChunks(chunks, question, 2);
+
+  assert.strictEqual(ranked.length, 2);
+  assert.strictEqual(ranked[0].id, 2);
+  assert.ok(ranked[0].similarity > ranked[1].similarity);
+});
+
+test('rankChunks leaves out vectors from a different embedding model', () => {
+  const chunks = [
+    { id: 1, chunkIndex: 0, text: 'a', embedding: [1, 0, 0] },
+    { id: 2, chunkIndex: 1, text: 'b', embedding: [1, 0] }
+  ];
+  assert.deepStrictEqual(rankChunks(chunks, [1, 0, 0]).map(chunk => chunk.id), [1]);
+});
+
+test('embedDocument gives one embedding per chunk and one for the whole document', async () => {
+  const { chunks, embedding } = await embedDocument('Cells divide by mitosis. '.repeat(200));
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.strictEqual(chunk.embedding.length, embedding.length);
+  }
+});
+
+test('loadChunks returns the stored chunks in order', async () => {
+  const queries = fakeDatabase((sql) => (/FROM chunks/.test(sql) ? [
+    { id: 7, chunk_index: 0, text: 'First part', embedding: '[0.6,0.8]', start_time: null, end_time: null },
+    { id: 8, chunk_index: 1, text: 'Second part', embedding: [1, 0], start_time: '12.5', end_time: '20' }
+  ] : undefined));
+
+  const chunks = await loadChunks('audio', 3, 'teacher', 'First part Second part');
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.id), [7, 8]);
+  assert.deepStrictEqual(chunks[0].embedding, [0.6, 0.8]);
+  assert.strictEqual(chunks[0].start, null);
+  assert.strictEqual(chunks[1].start, 12.5);
+  assert.ok(!queries.some(query => /INSERT INTO jobs/.test(query.sql)));
+});
+
+test('loadChunks queues a backfill instead of embedding a document with no chunks', async () => {
+  const queries = fakeDatabase();
+
+  assert.strictEqual(await loadChunks('note', 4, 'teacher', 'Text that was never chunked'), null);
+
+  const insert = queries.find(query => /INSERT INTO jobs/.test(query.sql));
+  assert.ok(insert, 'no backfill job was queued');
+  assert.deepStrictEqual(insert.values.slice(0, 2), ['teacher', 'backfill-chunks']);
+  assert.ok(!queries.some(query => /INSERT INTO chunks/.test(query.sql)));
+});
+
+test('loadChunks does not queue a backfill that is already waiting', async () => {
+  const queries = fakeDatabase((sql) => (/FROM jobs/.test(sql) ? [{ 1: 1 }] : undefined));
+
+  assert.strictEqual(await loadChunks('note', 4, 'teacher', 'Text that was never chunked'), null);
+  assert.ok(!queries.some(query => /INSERT INTO jobs/.test(query.sql)));
+});
+
+test('loadChunks returns no chunks for a document without text', async () => {
+  const queries = fakeDatabase();
+
+  assert.deepStrictEqual(await loadChunks('paper', 5, 'teacher', '   '), []);
+  assert.ok(!queries.some(query => /INSERT INTO jobs/.test(query.sql)));
+});
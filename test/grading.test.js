@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ai, gradeAnswerSheet } = require('./helpers');
+
+const rubric = [
+  { question: 'Define mitosis.', maxScore: 4, guidance: 'Cell division giving two identical cells' },
+  { question: 'Name the stages of mitosis.', maxScore: 6, guidance: null }
+];
+
+test('gradeAnswerSheet scores every rubric question', async () => {
+  const { items, overallFeedback } = await gradeAnswerSheet('Mitosis is cell division. Prophase, metaphase...', rubric, null);
+
+  assert.deepStrictEqual(items.map(item => item.question), rubric.map(item => item.question));
+  assert.deepStrictEqual(items.map(item => item.maxScore), [4, 6]);
+  for (const item of items) {
+    assert.ok(item.score >= 0 && item.score <= item.maxScore);
+    assert.ok(item.feedback);
+  }
+  assert.ok(overallFeedback);
+});
+
+test('gradeAnswerSheet clamps scores and gives zero for questions the model skipped', async (t) => {
+  t.mock.method(ai, 'chat', async () => ({
+    content: JSON.stringify({ items: [{ number: 1, score: 12, feedback: 'Excellent.' }], overallFeedback: 'Good.' })
+  }));
+
+  const { items } = await gradeAnswerSheet('answers', rubric, null);
+
+  assert.strictEqual(items[0].score, 4);
+  assert.strictEqual(items[1].score, 0);
+  assert.strictEqual(items[1].feedback, 'No answer found for this question.');
+});
+
+test('gradeAnswerSheet takes the questions and marks from the model when grading against a paper', async (t) => {
+  t.mock.method(ai, 'chat', async () => ({
+    content: JSON.stringify({
+      items: [
+        { number: 1, question: 'Q1', maxScore: 5, score: -2, feedback: 'Missing.' },
+        { number: 2, question: 'Q2', maxScore: 'not a number', score: 3, feedback: 'Right.' }
+      ]
+    })
+  }));
+
+  const { items, overallFeedback } = await gradeAnswerSheet('answers', null, '1. Q1 (5 marks)\n2. Q2');
+
+  assert.deepStrictEqual(items.map(item => [item.question, item.maxScore, item.score]), [['Q1', 5, 0], ['Q2', 1, 1]]);
+  assert.strictEqual(overallFeedback, null);
+});
+
+test('gradeAnswerSheet fails when the model grades nothing', async (t) => {
+  t.mock.method(ai, 'chat', async () => ({ content: JSON.stringify({ items: [] }) }));
+
+  await assert.rejects(gradeAnswerSheet('answers', null, 'paper'), /no graded questions/);
+});
+
+test('gradeAnswerSheet fails on a reply that is not JSON', async (t) => {
+  t.mock.method(ai, 'chat', async () => ({ content: 'Sorry, I cannot grade this.' }));
+
+  await assert.rejects(gradeAnswerSheet('answers', rubric, null), SyntaxError);
+});
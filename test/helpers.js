@@ -0,0 +1,42 @@
+// Shared test setup: the offline fake AI provider, local file storage and a fake database in place
+// of MySQL, so the tests run without network access or services
+const os = require('os');
+const path = require('path');
+
+process.env.AI_PROVIDER = 'fake';
+process.env.TRANSCRIPTION_PROVIDER = 'fake';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(os.tmpdir(), 'backend-tests');
+delete process.env.AI_PRICES;
+
+const backend = require('../app');
+
+// Function to answer the app's queries with `respond(sql, values)` instead of a database. Returns the
+// list of queries made, in order. Writes answer as a single inserted row unless `respond` says otherwise.
+const fakeDatabase = (respond = () => undefined) => {
+  const queries = [];
+  backend.pool.query = (sql, values, callback) => {
+    queries.push({ sql, values });
+    Promise.resolve()
+      .then(() => respond(sql, values))
+      .then(
+        results => callback(null, results !== undefined ? results : (/^\s*SELECT\b/i.test(sql) ? [] : { affectedRows: 1, insertId: 1 })),
+        error => callback(error)
+      );
+  };
+  return queries;
+};
+
+// Function to build a response object that records what a route or middleware sends
+const fakeResponse = () => {
+  const res = { statusCode: 200, headers: {}, body: undefined };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.set = (name, value) => { res.headers[name.toLowerCase()] = value; return res; };
+  return res;
+};
+
+// No test reaches the real pool, even through usage metering
+fakeDatabase();
+
+module.exports = { ...backend, fakeDatabase, fakeResponse };
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { listResources, listResponse, decodeCursor, fakeDatabase } = require('./helpers');
+
+// Notes of one teacher; some are still processing and have no title yet
+const notes = [
+  { id: 1, title: 'Mitosis', status: 'ready' },
+  { id: 2, title: null, status: 'pending' },
+  { id: 3, title: 'Atoms', status: 'ready' },
+  { id: 4, title: 'Mitosis', status: 'ready' },
+  { id: 5, title: null, status: 'pending' },
+  { id: 6, title: 'Enzymes', status: 'ready' }
+];
+
+// Function to answer the listing query for notes sorted by title, as the database would: ascending by
+// the title with NULL as '' and then by id, after the cursor when there is one, up to the LIMIT
+const notesByTitle = (sql, values) => {
+  const rows = notes
+    .map(note => ({ ...note, sort_value: note.title === null ? '' : note.title }))
+    .sort((a, b) => (a.sort_value < b.sort_value ? -1 : a.sort_value > b.sort_value ? 1 : a.id - b.id));
+  let params = values.slice(1);
+  let filtered = rows;
+  if (/COALESCE\(title, ''\) > \?/.test(sql)) {
+    const [value, , id] = params;
+    filtered = rows.filter(row => row.sort_value > value || (row.sort_value === value && row.id > id));
+    params = params.slice(3);
+  }
+  return /LIMIT \?/.test(sql) ? filtered.slice(0, params[0]) : filtered;
+};
+
+test('listResources pages through every note exactly once, including those with no title', async () => {
+  fakeDatabase(notesByTitle);
+
+  const seen = [];
+  let cursor;
+  for (let page = 0; page < 10; page++) {
+    const result = listResponse(await listResources('note', 'teacher', { sort: 'title', limit: '2', ...(cursor ? { cursor } : {}) }));
+    assert.ok(result.items.length <= 2);
+    seen.push(...result.items.map(item => item.id));
+    cursor = result.nextCursor;
+    if (!cursor) {
+      break;
+    }
+  }
+
+  assert.deepStrictEqual(seen, [2, 5, 3, 6, 1, 4]);
+});
+
+test('listResources reads one row more than the page to tell whether another page follows', async () => {
+  const queries = fakeDatabase(notesByTitle);
+
+  const result = await listResources('note', 'teacher', { sort: 'title', limit: '6' });
+
+  assert.strictEqual(result.items.length, 6);
+  assert.strictEqual(result.nextCursor, null);
+  assert.strictEqual(queries[0].values[queries[0].values.length - 1], 7);
+});
+
+test('listResources lists every note as a bare array when no paging parameters are sent', async () => {
+  const queries = fakeDatabase(notesByTitle);
+
+  const result = listResponse(await listResources('note', 'teacher', { sort: 'title' }));
+
+  assert.ok(Array.isArray(result));
+  assert.strictEqual(result.length, notes.length);
+  assert.ok(!/LIMIT/.test(queries[0].sql));
+});
+
+test('listResources returns only the requested fields and leaves note text out by default', async () => {
+  const queries = fakeDatabase(notesByTitle);
+
+  const [item] = (await listResources('note', 'teacher', { sort: 'title', limit: '1', fields: 'id,title' })).items;
+  assert.deepStrictEqual(Object.keys(item), ['id', 'title']);
+
+  await listResources('note', 'teacher', {});
+  assert.ok(!/\btext\b/.test(queries[1].sql.split(' FROM ')[0]));
+});
+
+test('listResources encodes the sort, the sort value and the id of the last row in the cursor', async () => {
+  fakeDatabase(notesByTitle);
+
+  const { nextCursor } = await listResources('note', 'teacher', { sort: 'title', limit: '1' });
+
+  assert.deepStrictEqual(decodeCursor(nextCursor), { sort: 'title', value: '', id: 2 });
+});
+
+test('listResources rejects bad paging parameters', async () => {
+  fakeDatabase(notesByTitle);
+  const { nextCursor } = await listResources('note', 'teacher', { sort: 'title', limit: '1' });
+
+  assert.ok((await listResources('note', 'teacher', { limit: '0' })).error);
+  assert.ok((await listResources('note', 'teacher', { limit: '201' })).error);
+  assert.ok((await listResources('note', 'teacher', { limit: 'ten' })).error);
+  assert.strictEqual((await listResources('note', 'teacher', { cursor: 'not-a-cursor' })).error, 'Invalid cursor');
+  // A cursor only continues the sort it was made for
+  assert.strictEqual((await listResources('note', 'teacher', { sort: 'date', cursor: nextCursor })).error, 'Invalid cursor');
+});
+
+test('listResources rejects unknown fields, sorts and filters', async () => {
+  fakeDatabase(notesByTitle);
+
+  assert.match((await listResources('note', 'teacher', { fields: 'id,password' })).error, /Unknown field "password"/);
+  assert.match((await listResources('note', 'teacher', { sort: 'size' })).error, /sort must be one of/);
+  assert.match((await listResources('audio', 'teacher', { subject: 'Biology' })).error, /can only filter notes/);
+  assert.match((await listResources('paper', 'teacher', { from: 'yesterday' })).error, /from must be a date/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ai, generateQuizQuestions, normalizeQuizQuestion } = require('./helpers');
+
+const sources = [
+  { resourceType: 'note', resourceId: 1, chunkIndex: 0, title: 'Cells', text: 'Cells divide by mitosis into two identical daughter cells.' },
+  { resourceType: 'paper', resourceId: 2, chunkIndex: 0, title: 'Past paper', text: 'Explain the stages of mitosis.' }
+];
+
+test('generateQuizQuestions returns the requested number of questions of the requested types', async () => {
+  const settings = { questionCount: 6, questionTypes: ['mcq', 'true_false', 'short_answer'], difficulty: 'medium' };
+  const { title, questions } = await generateQuizQuestions(sources, settings);
+
+  assert.ok(title);
+  assert.strictEqual(questions.length, 6);
+  for (const question of questions) {
+    assert.ok(settings.questionTypes.includes(question.type));
+    assert.ok(['note', 'paper'].includes(question.sourceType));
+  }
+  const mcq = questions.find(question => question.type === 'mcq');
+  assert.ok(mcq.options.includes(mcq.answer));
+  const trueFalse = questions.find(question => question.type === 'true_false');
+  assert.deepStrictEqual(trueFalse.options, ['True', 'False']);
+});
+
+test('generateQuizQuestions keeps only well-formed questions from the model', async (t) => {
+  t.mock.method(ai, 'chat', async () => ({
+    content: JSON.stringify({
+      title: 'Mixed quiz',
+      questions: [
+        { type: 'mcq', question: 'Answer not among the options', options: ['A', 'B'], answer: 'C', source: 1 },
+        { type: 'essay', question: 'Unknown type', answer: 'x' },
+        { type: 'short_answer', question: 'What does mitosis produce?', answer: 'Two daughter cells', source: 1 }
+      ]
+    })
+  }));
+
+  const { title, questions } = await generateQuizQuestions(sources, { questionCount: 3, questionTypes: ['mcq', 'short_answer'], difficulty: 'easy' });
+
+  assert.strictEqual(title, 'Mixed quiz');
+  assert.strictEqual(questions.length, 1);
+  assert.strictEqual(questions[0].answer, 'Two daughter cells');
+  assert.strictEqual(questions[0].sourceId, 1);
+});
+
+test('generateQuizQuestions fails when the model returns no usable questions', async (t) => {
+  t.mock.method(ai, 'chat', async () => ({ content: JSON.stringify({ questions: [{ type: 'mcq', question: 'No options', answer: 'A' }] }) }));
+
+  await assert.rejects(
+    generateQuizQuestions(sources, { questionCount: 1, questionTypes: ['mcq'], difficulty: 'easy' }),
+    /no usable questions/
+  );
+});
+
+test('normalizeQuizQuestion normalises true/false answers and rejects anything else', () => {
+  const question = normalizeQuizQuestion({ type: 'true_false', question: 'Mitosis makes four cells.', answer: 'false', source: 2 }, sources);
+  assert.strictEqual(question.answer, 'False');
+  assert.strictEqual(question.sourceType, 'paper');
+
+  assert.strictEqual(normalizeQuizQuestion({ type: 'true_false', question: 'Q', answer: 'maybe' }, sources), null);
+});
+
+test('normalizeQuizQuestion leaves the source empty when the model cites an unknown one', () => {
+  const question = normalizeQuizQuestion({ type: 'short_answer', question: 'Q', answer: 'A', source: 9 }, sources);
+  assert.strictEqual(question.sourceId, null);
+  assert.strictEqual(question.sourceExcerpt, null);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ai, meterAI, quotaStatus, fakeDatabase, fakeResponse } = require('./helpers');
+
+// Function to fake a database holding the given quotas and the usage totals since the period began
+const quotaDatabase = (quotas, used) => fakeDatabase((sql) => {
+  if (/FROM ai_quotas/.test(sql)) {
+    return quotas;
+  }
+  if (/FROM ai_usage/.test(sql)) {
+    return [{ cost: used.cost || 0, tokens: used.tokens || 0, audio_minutes: used.audioMinutes || 0 }];
+  }
+  return undefined;
+});
+
+const request = () => ({ user: { googleId: 'teacher' }, method: 'POST', route: { path: '/decks' } });
+
+test('meterAI turns a user away once a quota is reached', async () => {
+  quotaDatabase([{ period: 'day', max_cost: null, max_tokens: 1000, max_audio_minutes: null }], { tokens: 1500 });
+  const res = fakeResponse();
+  let called = false;
+
+  await meterAI(request(), res, () => { called = true; });
+
+  assert.strictEqual(called, false);
+  assert.strictEqual(res.statusCode, 429);
+  assert.match(res.body.error, /Daily AI usage quota reached: 1500 of 1000 tokens used/);
+  assert.deepStrictEqual([res.body.quota.period, res.body.quota.metric, res.body.quota.limit], ['day', 'tokens', 1000]);
+  assert.ok(Number(res.headers['retry-after']) > 0);
+});
+
+test('meterAI lets a user under every quota through and bills their AI calls to them', async () => {
+  const queries = quotaDatabase([{ period: 'month', max_cost: '5.00', max_tokens: null, max_audio_minutes: 60 }], { cost: 1.25, audioMinutes: 10 });
+  const res = fakeResponse();
+
+  await new Promise((resolve, reject) => {
+    meterAI(request(), res, () => ai.chat({ messages: [{ role: 'user', content: 'Hello' }] }).then(resolve, reject));
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  const usage = queries.find(query => /INSERT INTO ai_usage/.test(query.sql));
+  assert.ok(usage, 'the AI call was not metered');
+  assert.deepStrictEqual(usage.values.slice(0, 3), ['teacher', 'POST /decks', 'chat']);
+});
+
+test('meterAI lets users without quotas through', async () => {
+  quotaDatabase([], {});
+  let called = false;
+
+  await meterAI(request(), fakeResponse(), () => { called = true; });
+
+  assert.strictEqual(called, true);
+});
+
+test('meterAI answers 500 when the quota cannot be checked', async () => {
+  fakeDatabase(() => { throw new Error('database is down'); });
+  const res = fakeResponse();
+  let called = false;
+
+  await meterAI(request(), res, () => { called = true; });
+
+  assert.strictEqual(called, false);
+  assert.strictEqual(res.statusCode, 500);
+});
+
+test('quotaStatus reports the first reached quota across periods and metrics', async () => {
+  quotaDatabase([
+    { period: 'day', max_cost: null, max_tokens: 100000, max_audio_minutes: null },
+    { period: 'month', max_cost: '2.00', max_tokens: null, max_audio_minutes: 30 }
+  ], { cost: 2.5, tokens: 500, audioMinutes: 5 });
+
+  const { quotas, exceeded } = await quotaStatus('teacher');
+
+  assert.strictEqual(quotas.length, 2);
+  assert.deepStrictEqual(quotas[1].limits.map(limit => limit.metric), ['cost', 'audioMinutes']);
+  assert.deepStrictEqual([exceeded.period, exceeded.metric, exceeded.used, exceeded.limit], ['month', 'cost', 2.5, 2]);
+  assert.ok(exceeded.resetsAt > new Date());
+});
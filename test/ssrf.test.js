@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isPublicAddress, fetchPublic } = require('./helpers');
+
+test('isPublicAddress refuses private, reserved and special-purpose addresses', () => {
+  const refused = [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '192.0.0.8', '198.18.0.1', '198.19.255.255', '224.0.0.1', '255.255.255.255',
+    '::', '::1', 'fc00::1', 'fd12::1', 'fe80::1', 'ff02::1',
+    '::ffff:7f00:1', '::ffff:127.0.0.1', '::ffff:a00:1', '64:ff9b::a00:1', '2002:7f00:1::', '2001:db8::1'
+  ];
+  for (const address of refused) {
+    assert.strictEqual(isPublicAddress(address), false, `${address} should be refused`);
+  }
+});
+
+test('isPublicAddress accepts public addresses', () => {
+  for (const address of ['8.8.8.8', '1.1.1.1', '::ffff:808:808', '2606:4700:4700::1111']) {
+    assert.strictEqual(isPublicAddress(address), true, `${address} should be accepted`);
+  }
+});
+
+test('isPublicAddress refuses anything that is not an address', () => {
+  assert.strictEqual(isPublicAddress('example.com'), false);
+  assert.strictEqual(isPublicAddress(''), false);
+});
+
+test('fetchPublic refuses address literals that point at this machine', async () => {
+  for (const url of ['http://127.0.0.1/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://0x7f.1/']) {
+    await assert.rejects(fetchPublic(url, { method: 'HEAD' }), /private network address/, url);
+  }
+});
+
+test('fetchPublic refuses host names that resolve to private addresses', async () => {
+  await assert.rejects(fetchPublic('http://localhost:1/', { method: 'HEAD' }), /private network address/);
+});
+
+test('fetchPublic refuses protocols other than http and https', async () => {
+  await assert.rejects(fetchPublic('file:///etc/passwd'), /Only http and https/);
+});